@@ -2,12 +2,17 @@
 
 // OPCIÓN 1: Si usas botbuilder-teams
 import { TeamsActivityHandler } from 'botbuilder';
+import { DialogSet } from 'botbuilder-dialogs';
 
 // OPCIÓN 2: Si usas solo botbuilder
 // import { ActivityHandler } from 'botbuilder';
 
+const CANCEL_COMMANDS = ['cancelar', 'cancel', 'salir del flujo'];
+
 /**
  * DialogBot - Clase base simplificada
+ * - Pila de diálogos (botbuilder-dialogs) sobre el ConversationState persistido
+ * - Las subclases registran diálogos con addDialog() y los inician con beginDialog()
  */
 export default class DialogBot extends TeamsActivityHandler {
     // Si usas OPCIÓN 2, cambia la línea anterior por:
@@ -26,6 +31,10 @@ export default class DialogBot extends TeamsActivityHandler {
         this.conversationState = conversationState;
         this.userState = userState;
 
+        // Estado de la pila de diálogos (se guarda en saveStates)
+        this.dialogState = this.conversationState.createProperty('DialogState');
+        this.dialogs = new DialogSet(this.dialogState);
+
         // Configurar manejadores de eventos
         this.onMessage(this.handleMessage.bind(this));
         this.onMembersAdded(this.handleMembersAdded.bind(this));
@@ -56,6 +65,62 @@ export default class DialogBot extends TeamsActivityHandler {
         await next();
     }
 
+    // ==========================================
+    // DIÁLOGOS
+    // ==========================================
+
+    /**
+     * Registra un diálogo en el DialogSet del bot
+     */
+    addDialog(dialog) {
+        this.dialogs.add(dialog);
+        return this;
+    }
+
+    /**
+     * Inicia un diálogo (reemplaza cualquier flujo activo)
+     */
+    async beginDialog(context, dialogId, options) {
+        const dc = await this.dialogs.createContext(context);
+        await dc.cancelAllDialogs();
+        return await dc.beginDialog(dialogId, options);
+    }
+
+    /**
+     * Cancela cualquier flujo activo
+     */
+    async cancelAllDialogs(context) {
+        const dc = await this.dialogs.createContext(context);
+        return await dc.cancelAllDialogs();
+    }
+
+    /**
+     * Indica si hay un diálogo en curso
+     */
+    async hasActiveDialog(context) {
+        const dc = await this.dialogs.createContext(context);
+        return Boolean(dc.activeDialog);
+    }
+
+    /**
+     * Continúa el diálogo activo, si existe
+     * @returns {Promise<boolean>} true si el turno lo atendió un diálogo
+     */
+    async continueActiveDialog(context) {
+        const dc = await this.dialogs.createContext(context);
+        if (!dc.activeDialog) return false;
+
+        const text = (context.activity.text || '').trim().toLowerCase();
+        if (CANCEL_COMMANDS.includes(text)) {
+            await dc.cancelAllDialogs();
+            await context.sendActivity('↩️ Operación cancelada.');
+            return true;
+        }
+
+        await dc.continueDialog();
+        return true;
+    }
+
     /**
      * Valida si una actividad es procesable
      */
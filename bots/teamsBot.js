@@ -2,44 +2,86 @@
 // Filosofía: Minimalista, Funcional, Sin Estado en Memoria
 import DialogBot from './dialogBot.js';
 import AzureOpenAIService from '../services/openaiService.js';
-import CosmosService from '../services/cosmosService.js';
+import { getStorageService } from '../services/storageService.js';
 import AuthService from '../services/authService.js';
+import { getAuditService } from '../services/auditService.js';
+import TeamsStreamer from './teamsStreamer.js';
+import LoginDialog, { LOGIN_DIALOG } from '../dialogs/loginDialog.js';
+import LogoutDialog, { LOGOUT_DIALOG } from '../dialogs/logoutDialog.js';
+import TasasDialog, { TASAS_DIALOG, esConsultaTasasSinAnio } from '../dialogs/tasasDialog.js';
+import SsoDialog, { SSO_DIALOG } from '../dialogs/ssoDialog.js';
 import {
     createLoginCard,
+    createLoginLauncherCard,
+    createLoginSubmittedCard,
     createWelcomeMessage,
     createAuthErrorMessage,
     createTextLoginInstructions,
-    createInvalidFormatMessage
+    createTextCredentialsWarning
 } from '../cards/loginCard.js';
 
 // Servicios globales singleton
-const cosmos = new CosmosService();
+const storage = getStorageService();
 const ai = new AzureOpenAIService();
-const auth = new AuthService(cosmos);
+const auth = new AuthService(storage);
+const audit = getAuditService();
+
+const DEFAULT_GREETING =
+    '👋 **¡Bienvenido a Nova Bot!**\n\n' +
+    'Soy tu asistente inteligente corporativo.\n' +
+    'Para comenzar, debes autenticarte con tus credenciales.';
 
 /**
  * TeamsBot v4.0 - Ultra simplificado
  *
  * Características:
- * - ✅ Sin cache local (100% Cosmos DB)
+ * - ✅ Sin cache local (100% persistencia: Cosmos DB o JSON local)
  * - ✅ Sin comandos especiales (solo login/logout)
- * - ✅ Todo mensaje autenticado → IA
+ * - ✅ Flujos guiados con diálogos (login, año de tasas, confirmación de logout)
+ * - ✅ Login con la cuenta de Microsoft (SSO de Teams); usuario y contraseña como alternativa
+ * - ✅ Todo mensaje autenticado sin diálogo activo → IA
  * - ✅ Stateless (sobrevive reinicios)
  * - ✅ Adaptive Cards con manejo legacy (type: message)
  * - ✅ ~280 líneas (vs 835 en v3.0)
  */
 export default class TeamsBot extends DialogBot {
-    constructor(conversationState, userState) {
+    /**
+     * @param {ConversationState} conversationState
+     * @param {UserState} userState
+     * @param {Object} botConfig - Entrada resuelta de config/bots.json ({ id, name, persona, tools, ssoConnectionName, ... })
+     */
+    constructor(conversationState, userState, botConfig = {}) {
         super(conversationState, userState);
 
         global.botInstance = this;
+        this.botId = botConfig.id || null;
+        this.greeting = botConfig.persona?.greeting || DEFAULT_GREETING;
         this.auth = auth;
         this.ai = ai;
         this.loginCards = new Set(); // Anti-spam de login cards
+        this.ssoConnectionName = botConfig.ssoConnectionName || null;
+
+        // Flujos guiados; la IA sigue siendo el fallback cuando no hay diálogo activo
+        this.addDialog(new LoginDialog((context, username) => {
+            // Pedido explícito del usuario: sin anti-spam
+            this.loginCards.delete(context.activity.from.id);
+            return this.showLoginCard(context, context.activity.from.id, username);
+        }));
+        this.addDialog(new LogoutDialog(context =>
+            this.logout(context, context.activity.from.id)));
+        this.addDialog(new TasasDialog((context, texto) =>
+            this.processWithAI(context, texto, context.activity.from.id)));
+        if (this.ssoConnectionName) {
+            this.addDialog(new SsoDialog(this.ssoConnectionName, (context, token) =>
+                this.completeSso(context, token)));
+        }
 
-        console.log('✅ TeamsBot v4.0 inicializado');
-        console.log(`💾 Cosmos DB: ${cosmos.isAvailable() ? 'Activo' : 'No disponible'}`);
+        console.log(`✅ TeamsBot v4.0 inicializado (${this.botId || 'sin botId'})`);
+        console.log(`💾 Persistencia (${storage.provider}): ${storage.isAvailable() ? 'Activa' : 'No disponible'}`);
         console.log(`🤖 OpenAI: ${ai.isAvailable() ? 'Activo' : 'No disponible'}`);
+        if (this.ssoConnectionName && !auth.isSsoConfigured()) {
+            console.warn(`⚠️ SSO: conexión ${this.ssoConnectionName} configurada sin NOVA_API_URL_SSO; se usará usuario y contraseña`);
+        }
     }
 
     // ==========================================
@@ -53,14 +95,10 @@ export default class TeamsBot extends DialogBot {
             if (member.id !== context.activity.recipient.id) {
                 console.log(`👋 Nuevo miembro: ${member.id}`);
 
-                // Mostrar login card automáticamente
-                await context.sendActivity(
-                    '👋 **¡Bienvenido a Nova Bot!**\n\n' +
-                    'Soy tu asistente inteligente corporativo.\n' +
-                    'Para comenzar, debes autenticarte con tus credenciales.'
-                );
+                // Saludo del bot e inicio de sesión automáticamente
+                await context.sendActivity(this.greeting);
 
-                await this.showLoginCard(context, member.id);
+                await this.startLogin(context, member.id);
             }
         }
 
@@ -89,35 +127,54 @@ export default class TeamsBot extends DialogBot {
                     return await next();
                 }
 
-                await this.authenticate(context, username.trim(), password.trim(), userId);
+                // La tarjeta reemplaza un login guiado en curso
+                await this.cancelAllDialogs(context);
+                const exitoso = await this.authenticate(context, username.trim(), password.trim(), userId);
+                await this.redactLoginCard(context, exitoso);
                 return await next();
             }
         }
 
         if (!text) return await next();
 
-        console.log(`📨 [${userId.substring(0, 8)}...] "${text.substring(0, 50)}..."`);
-
         try{
-            // 1. Comandos de login (sin autenticación requerida)
+            // 0. Diálogo activo
+            if (await this.continueActiveDialog(context)) {
+                return await next();
+            }
+
+            // 1. Comandos de login (sin autenticación requerida; antes del log: pueden traer credenciales)
             if (await this.handleLoginCommands(context, text, userId)) {
                 return await next();
             }
 
-            // 2. Comando logout (con autenticación)
+            console.log(`📨 [${userId.substring(0, 8)}...] "${text.substring(0, 50)}..."`);
+
+            // 2. Verificar autenticación
+            const isAuth = await auth.isUserAuthenticated(userId);
+
+            // 3. Comando logout (con confirmación si hay sesión)
             if (this.isLogout(text)) {
-                await this.logout(context, userId);
+                if (isAuth) {
+                    await this.beginDialog(context, LOGOUT_DIALOG);
+                } else {
+                    await this.logout(context, userId);
+                }
                 return await next();
             }
 
-            // 3. Verificar autenticación
-            const isAuth = await auth.isUserAuthenticated(userId);
             if (!isAuth) {
                 await this.showAccessDenied(context, userId);
                 return await next();
             }
 
-            // 4. Mensaje autenticado → IA
+            // 4. Pregunta de tasas sin año → diálogo de seguimiento
+            if (esConsultaTasasSinAnio(text) && this.canUseTool('consultar_tasas_interes')) {
+                await this.beginDialog(context, TASAS_DIALOG, { texto: text });
+                return await next();
+            }
+
+            // 5. Mensaje autenticado → IA
             await this.processWithAI(context, text, userId);
 
         } catch (error) {
@@ -133,8 +190,24 @@ export default class TeamsBot extends DialogBot {
     // ==========================================
 
     async processWithAI(context, text, userId) {
+        // Respuesta progresiva: informativos por herramienta + texto conforme se genera
+        const streamer = new TeamsStreamer(context);
+
         try {
-            const userInfo = await auth.getUserInfo(userId);
+            // Extiende la sesión y renueva el token de Nova antes de que una herramienta falle
+            const { userInfo, motivo } = await auth.getActiveSession(userId);
+            if (motivo === 'expirada') {
+                await context.sendActivity(
+                    '🔒 **Sesión expirada**\n\n' +
+                    'Tu sesión de Nova terminó. Inicia sesión nuevamente para continuar.'
+                );
+                await this.startLogin(context, userId);
+                return;
+            }
+            if (motivo === 'error') {
+                await context.sendActivity('⚠️ No pude verificar tu sesión en este momento. Intenta de nuevo en unos minutos.');
+                return;
+            }
             if (!userInfo) {
                 await context.sendActivity('❌ Error obteniendo información del usuario.');
                 return;
@@ -149,34 +222,41 @@ export default class TeamsBot extends DialogBot {
             console.log(`🤖 [${userInfo.usuario}] Procesando con IA...`);
 
             // 3. Procesar con IA
-            // Nota: openaiService carga automáticamente el historial desde Cosmos DB
+            // Nota: openaiService carga automáticamente el historial desde la persistencia
             const response = await ai.procesarMensaje(
                 text,
-                [], // Sin historial local - se carga desde Cosmos
+                [], // Sin historial local - se carga desde la persistencia
                 userInfo.token,
                 userInfo,
                 context.activity.conversation.id,
-                userId
+                userId,
+                {
+                    botId: this.botId,          // Persona y herramientas de este bot
+                    onEvent: streamer.onEvent,  // Actualizaciones progresivas
+                    locale: context.activity.locale,  // Idioma de los mensajes de error
+                    // Un 401 de Nova en una herramienta renueva el token y reintenta
+                    renovarToken: tokenRechazado => auth.refreshSessionToken(userId, tokenRechazado)
+                }
             );
 
-            // 4. Guardar respuesta
-            if (response?.content) {
+            // 4. Guardar respuesta (los mensajes de modo degradado no entran al historial)
+            if (response?.content && !response.metadata?.degraded) {
                 await this.saveMessage(userId, 'assistant', response.content);
             }
 
-            // 5. Enviar respuesta
-            await context.sendActivity(response?.content || 'Sin respuesta');
+            // 5. Enviar respuesta final (cierra el stream o reemplaza el informativo) con los adjuntos de las herramientas
+            await streamer.finish(response?.content || 'Sin respuesta', response?.attachments);
 
         } catch (error) {
             console.error(`❌ Error procesando con IA:`, error);
 
             if (error.message?.includes('token') || error.message?.includes('auth')) {
-                await context.sendActivity(
+                await streamer.finish(
                     '🔒 **Sesión expirada**\n\n' +
                     'Tu sesión ha expirado. Escribe `logout` y vuelve a iniciar sesión.'
                 );
             } else {
-                await context.sendActivity('❌ Error procesando tu mensaje.');
+                await streamer.finish('❌ Error procesando tu mensaje.');
             }
         }
     }
@@ -192,16 +272,77 @@ export default class TeamsBot extends DialogBot {
             return true;
         }
 
-        // Comando: login usuario:password
+        // Comando: login (guiado paso a paso)
+        if (text.toLowerCase() === 'login' || text.toLowerCase() === 'iniciar sesión') {
+            await this.beginDialog(context, LOGIN_DIALOG);
+            return true;
+        }
+
+        // Formato anterior `login usuario:password`: ya no se acepta
         if (text.toLowerCase().startsWith('login ')) {
-            await this.loginWithText(context, text, userId);
+            await this.rejectTextCredentials(context, userId);
             return true;
         }
 
         return false;
     }
 
-    async showLoginCard(context, userId) {
+    /**
+     * Inicio de sesión preferido: cuenta de Microsoft en Teams si el SSO está configurado,
+     * si no la tarjeta de usuario y contraseña
+     */
+    async startLogin(context, userId) {
+        const sso = this.ssoConnectionName && auth.isSsoConfigured() && context.activity.channelId === 'msteams';
+
+        // Con un diálogo en curso (p. ej. año de tasas) no se reemplaza la pila: va la tarjeta
+        if (!sso || await this.hasActiveDialog(context)) {
+            return this.showLoginCard(context, userId);
+        }
+
+        console.log(`🔐 [${userId.substring(0, 8)}...] Login con cuenta de Microsoft`);
+        await this.beginDialog(context, SSO_DIALOG);
+    }
+
+    /**
+     * Resultado del SsoDialog: sesión Nova con la cuenta de Microsoft o,
+     * si no hay token o la cuenta no está vinculada, la tarjeta de usuario y contraseña
+     */
+    async completeSso(context, token) {
+        const userId = context.activity.from.id;
+
+        if (token) {
+            try {
+                const result = await auth.loginWithSso(userId, token, { canal: 'Teams' });
+
+                if (result.success) {
+                    this.loginCards.delete(userId);
+                    console.log(`✅ [${userId.substring(0, 8)}...] Login SSO exitoso: ${result.userInfo.usuario}`);
+                    await context.sendActivity(`✅ ¡Bienvenido ${result.userInfo.nombre}!`);
+                    return;
+                }
+
+                console.log(`❌ [${userId.substring(0, 8)}...] Login SSO fallido: ${result.message}`);
+                await context.sendActivity(result.errorServicio
+                    ? '⚠️ No se pudo iniciar sesión con tu cuenta de Microsoft. Ingresa con tu usuario y contraseña.'
+                    : '⚠️ Tu cuenta de Microsoft no está vinculada a un usuario Nova. Ingresa con tu usuario y contraseña.');
+            } catch (error) {
+                console.error(`❌ Error autenticando (SSO):`, error);
+                await context.sendActivity('❌ Error en autenticación.');
+            }
+        } else {
+            console.log(`🔐 [${userId.substring(0, 8)}...] SSO sin token, se ofrece usuario y contraseña`);
+        }
+
+        this.loginCards.delete(userId);
+        await this.showLoginCard(context, userId);
+    }
+
+    /**
+     * Tarjeta de login: en Teams abre el formulario en un task module;
+     * en otros canales (Emulator, Web Chat de Azure) el formulario va en el chat
+     * @param {string} [username] - Usuario precargado (login guiado)
+     */
+    async showLoginCard(context, userId, username = null) {
         // Anti-spam: solo una tarjeta cada 30 segundos
         if (this.loginCards.has(userId)) {
             console.log(`⚠️ [${userId.substring(0, 8)}...] Login card anti-spam`);
@@ -209,7 +350,10 @@ export default class TeamsBot extends DialogBot {
         }
 
         try {
-            await context.sendActivity({ attachments: [createLoginCard()] });
+            const card = context.activity.channelId === 'msteams'
+                ? createLoginLauncherCard(username)
+                : createLoginCard({ username });
+            await context.sendActivity({ attachments: [card] });
 
             this.loginCards.add(userId);
             setTimeout(() => this.loginCards.delete(userId), 30000);
@@ -221,40 +365,181 @@ export default class TeamsBot extends DialogBot {
         }
     }
 
-    async loginWithText(context, text, userId) {
-        const credentials = text.substring(6).trim();
-        const [username, password] = credentials.split(':');
+    /**
+     * Mensaje con credenciales en texto: no se usa para autenticar, se intenta borrar
+     * (Teams no permite a los bots borrar mensajes del usuario) y se ofrece el formulario seguro
+     */
+    async rejectTextCredentials(context, userId) {
+        let eliminado = false;
+        try {
+            await context.deleteActivity(context.activity.id);
+            eliminado = true;
+        } catch (error) {
+            console.warn(`⚠️ [${userId.substring(0, 8)}...] No se pudo borrar el mensaje con credenciales (${context.activity.channelId}): ${error.message}`);
+        }
+
+        console.warn(`🚫 [${userId.substring(0, 8)}...] Login con contraseña en texto rechazado`);
+        await audit.registrar('credenciales_en_texto', { canal: 'Teams', actor: userId, detalle: { eliminado } });
+        await context.sendActivity(createTextCredentialsWarning(eliminado));
+
+        this.loginCards.delete(userId);
+        await this.showLoginCard(context, userId);
+    }
+
+    /**
+     * Reemplaza la tarjeta de login enviada en el chat para que no conserve lo capturado
+     */
+    async redactLoginCard(context, exitoso) {
+        if (!context.activity.replyToId) return;
 
-        if (!username || !password) {
-            await context.sendActivity(createInvalidFormatMessage());
-            return;
+        try {
+            await context.updateActivity({
+                id: context.activity.replyToId,
+                type: 'message',
+                attachments: [createLoginSubmittedCard(exitoso)]
+            });
+        } catch (error) {
+            console.warn(`⚠️ No se pudo actualizar la tarjeta de login (${context.activity.channelId}): ${error.message}`);
         }
+    }
 
-        await this.authenticate(context, username.trim(), password.trim(), userId);
+    /**
+     * Valida credenciales con Nova y guarda la sesión (con límite de intentos, ver LoginGuard)
+     * @returns {Promise<Object>} { success, userInfo?, message?, limitado? }
+     */
+    async iniciarSesion(username, password, userId) {
+        const result = await auth.login(userId, username, password, { canal: 'Teams' });
+
+        if (result.success) {
+            this.loginCards.delete(userId);
+            console.log(`✅ [${userId.substring(0, 8)}...] Login exitoso: ${username}`);
+        } else {
+            console.log(`❌ [${userId.substring(0, 8)}...] Login ${result.limitado ? 'rechazado (límite de intentos)' : 'fallido'}: ${username}`);
+        }
+
+        return result;
     }
 
+    /**
+     * @returns {Promise<boolean>} true si el login fue exitoso
+     */
     async authenticate(context, username, password, userId) {
         try {
             await context.sendActivity({ type: 'typing' });
 
-            const result = await auth.authenticateWithNova(username, password);
+            const result = await this.iniciarSesion(username, password, userId);
 
             if (result.success) {
-                await auth.setUserAuthenticated(userId, result.userInfo);
-                this.loginCards.delete(userId);
-
-                const welcome = `✅ ¡Bienvenido ${result.userInfo.nombre}!`;
-
-                await context.sendActivity(welcome);
-                console.log(`✅ [${userId.substring(0, 8)}...] Login exitoso: ${username}`);
+                await context.sendActivity(`✅ ¡Bienvenido ${result.userInfo.nombre}!`);
+            } else if (result.limitado) {
+                await context.sendActivity(`⏳ ${result.message}`);
             } else {
                 await context.sendActivity(createAuthErrorMessage(result.message));
-                console.log(`❌ [${userId.substring(0, 8)}...] Login fallido: ${username}`);
             }
+            return result.success;
         } catch (error) {
             console.error(`❌ Error autenticando:`, error);
             await context.sendActivity('❌ Error en autenticación.');
+            return false;
+        }
+    }
+
+    // ==========================================
+    // SSO (Teams)
+    // ==========================================
+
+    /**
+     * signin/tokenExchange: token SSO del cliente de Teams (TeamsSSOTokenExchangeMiddleware ya lo intercambió)
+     */
+    async handleTeamsSigninTokenExchange(context) {
+        await this.continueActiveDialog(context);
+    }
+
+    /**
+     * signin/verifyState: el usuario completó el consentimiento desde el botón de la tarjeta
+     */
+    async handleTeamsSigninVerifyState(context) {
+        await this.continueActiveDialog(context);
+    }
+
+    /**
+     * Cierra la sesión de la conexión OAuth para que el siguiente login no reutilice el token
+     */
+    async signOutSso(context, userId) {
+        if (!this.ssoConnectionName) return;
+
+        try {
+            const userTokenClient = context.turnState.get(context.adapter.UserTokenClientKey);
+            await userTokenClient?.signOutUser(userId, this.ssoConnectionName, context.activity.channelId);
+        } catch (error) {
+            console.warn(`⚠️ [${userId.substring(0, 8)}...] No se pudo cerrar la sesión SSO: ${error.message}`);
+        }
+    }
+
+    // ==========================================
+    // TASK MODULE DE LOGIN (Teams)
+    // ==========================================
+
+    /**
+     * task/fetch: botón de createLoginLauncherCard → formulario de login
+     */
+    async handleTeamsTaskModuleFetch(context, taskModuleRequest) {
+        const data = taskModuleRequest?.data || {};
+
+        if (data.action !== 'login_form') {
+            return this.taskModuleMessage('Acción no disponible');
         }
+
+        return this.loginTaskModule({ username: data.username || null });
+    }
+
+    /**
+     * task/submit: credenciales del formulario; si fallan, el formulario se muestra de nuevo con el error
+     */
+    async handleTeamsTaskModuleSubmit(context, taskModuleRequest) {
+        const userId = context.activity.from.id;
+        const { action, username, password } = taskModuleRequest?.data || {};
+
+        if (action !== 'login') {
+            return this.taskModuleMessage('Acción no disponible');
+        }
+
+        if (!username?.trim() || !password?.trim()) {
+            return this.loginTaskModule({ username, error: 'Completa usuario y contraseña' });
+        }
+
+        try {
+            await this.cancelAllDialogs(context);
+            const result = await this.iniciarSesion(username.trim(), password.trim(), userId);
+
+            if (!result.success) {
+                return this.loginTaskModule({ username, error: result.message || 'Credenciales inválidas' });
+            }
+
+            await context.sendActivity(`✅ ¡Bienvenido ${result.userInfo.nombre}!`);
+            return this.taskModuleMessage('✅ Sesión iniciada');
+        } catch (error) {
+            console.error(`❌ Error autenticando (task module):`, error);
+            return this.loginTaskModule({ username, error: 'Error en autenticación. Intenta nuevamente.' });
+        }
+    }
+
+    loginTaskModule({ username = null, error = null } = {}) {
+        return {
+            task: {
+                type: 'continue',
+                value: {
+                    title: 'Iniciar sesión',
+                    height: 'small',
+                    width: 'small',
+                    card: createLoginCard({ username, error })
+                }
+            }
+        };
+    }
+
+    taskModuleMessage(texto) {
+        return { task: { type: 'message', value: texto } };
     }
 
     async logout(context, userId) {
@@ -263,6 +548,7 @@ export default class TeamsBot extends DialogBot {
             const name = userInfo?.nombre || 'Usuario';
 
             await auth.clearUserAuthentication(userId);
+            await this.signOutSso(context, userId);
             this.loginCards.delete(userId);
 
             await context.sendActivity(
@@ -287,7 +573,7 @@ export default class TeamsBot extends DialogBot {
             '🔒 **Acceso Denegado**\n\n' +
             'Debes autenticarte para usar el bot.'
         );
-        await this.showLoginCard(context, userId);
+        await this.startLogin(context, userId);
         console.log(`🔒 [${userId.substring(0, 8)}...] Acceso denegado`);
     }
 
@@ -296,10 +582,10 @@ export default class TeamsBot extends DialogBot {
     // ==========================================
 
     async saveMessage(userId, role, content) {
-        if (!cosmos.isAvailable()) return;
+        if (!storage.isAvailable()) return;
 
         try {
-            await cosmos.saveMessage(userId, role, content);
+            await storage.saveMessage(userId, role, content);
             console.log(`💾 [${userId.substring(0, 8)}...] ${role} guardado`);
         } catch (error) {
             console.warn(`⚠️ Error guardando mensaje:`, error.message);
@@ -310,15 +596,31 @@ export default class TeamsBot extends DialogBot {
         return auth.isLogoutCommand(text);
     }
 
+    canUseTool(toolName) {
+        return ai.obtenerPerfilBot(this.botId, { canal: 'Teams' }).tools
+            .some(tool => tool.function.name === toolName);
+    }
+
+    /**
+     * Deployment y parámetros de generación efectivos de este bot en Teams
+     * @returns {Object|null}
+     */
+    getModelConfig() {
+        return ai.getModelConfig(this.botId, 'Teams');
+    }
+
     async getStats() {
         const authStats = await auth.getStats();
 
         return {
             version: '4.0.0-CleanArchitecture',
+            botId: this.botId,
             loginCardsPending: this.loginCards.size,
-            cosmosDB: cosmos.isAvailable(),
+            sso: Boolean(this.ssoConnectionName) && auth.isSsoConfigured(),
+            storage: storage.provider,
+            storageAvailable: storage.isAvailable(),
             openAI: ai.isAvailable(),
-            persistenceType: cosmos.isAvailable() ? 'Cosmos-Only' : 'Memory-Only',
+            persistenceType: storage.isAvailable() ? `${storage.provider}-Only` : 'Memory-Only',
             authenticatedUsers: authStats?.authenticatedUsers || 0,
             timestamp: new Date().toISOString()
         };
@@ -0,0 +1,175 @@
+// bots/teamsStreamer.js - Respuestas progresivas en Teams
+// Chats personales: protocolo de streaming de Teams (typing + entidad streaminfo)
+// Grupos/canales: mensaje informativo actualizado con updateActivity
+import { getTool } from '../services/toolRegistry.js';
+
+const STREAM_INTERVAL_MS = parseInt(process.env.TEAMS_STREAM_INTERVAL_MS, 10) || 1500;
+const STREAMING_ENABLED = process.env.TEAMS_STREAMING !== 'false';
+
+// Mensaje informativo mientras corre una herramienta sin progressMessage propio
+const DEFAULT_TOOL_MESSAGE = '⚙️ Procesando tu solicitud…';
+
+/**
+ * TeamsStreamer - Convierte los eventos de procesarMensaje (onEvent) en actividades de Teams
+ *
+ * Uso:
+ *   const streamer = new TeamsStreamer(context);
+ *   const response = await ai.procesarMensaje(..., { onEvent: streamer.onEvent });
+ *   await streamer.finish(response.content, response.attachments);
+ *
+ * Los envíos se serializan y los deltas se agrupan cada STREAM_INTERVAL_MS (Teams limita ~1 req/s).
+ * Si Teams rechaza una actualización, se deja de actualizar y finish() envía un mensaje normal.
+ */
+export default class TeamsStreamer {
+    constructor(context) {
+        this.context = context;
+        this.mode = TeamsStreamer.detectMode(context.activity);
+
+        this.text = '';            // Respuesta acumulada
+        this.sentText = '';        // Último texto enviado a Teams
+        this.streamId = null;      // Modo 'stream': id del stream
+        this.activityId = null;    // Modo 'update': id del mensaje informativo
+        this.sequence = 0;
+        this.failed = false;
+        this.timer = null;
+        this.lastSend = 0;
+        this.queue = Promise.resolve();
+
+        this.onEvent = this.onEvent.bind(this);
+    }
+
+    static detectMode(activity) {
+        if (!STREAMING_ENABLED || activity.channelId !== 'msteams') return 'none';
+        return activity.conversation?.conversationType === 'personal' ? 'stream' : 'update';
+    }
+
+    /**
+     * Callback para procesarMensaje({ onEvent })
+     */
+    onEvent(evento, datos) {
+        if (this.mode === 'none' || this.failed) return;
+
+        if (evento === 'reset' || evento === 'tool_start') {
+            // El texto previo a una llamada de herramientas no forma parte de la respuesta final
+            this.discardText();
+            if (evento === 'tool_start') {
+                this.enqueue(() => this.sendInformative(getTool(datos.name)?.progressMessage || DEFAULT_TOOL_MESSAGE));
+            }
+        } else if (evento === 'delta') {
+            this.text += datos.content;
+            this.scheduleUpdate();
+        }
+    }
+
+    /**
+     * Cierra el stream con el texto final (o lo envía como mensaje normal)
+     * @param {string} finalText
+     * @param {Array<Object>} [attachments] - Adjuntos de las herramientas ({ contentType, contentUrl, name })
+     */
+    async finish(finalText, attachments = []) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.queue;
+
+        const message = { type: 'message', text: finalText };
+        if (attachments?.length) message.attachments = attachments;
+
+        try {
+            if (!this.failed && this.mode === 'stream' && this.streamId) {
+                return await this.context.sendActivity({
+                    ...message,
+                    entities: [{ type: 'streaminfo', streamId: this.streamId, streamType: 'final' }]
+                });
+            }
+
+            if (!this.failed && this.mode === 'update' && this.activityId) {
+                return await this.context.updateActivity({ ...message, id: this.activityId });
+            }
+        } catch (error) {
+            console.warn(`⚠️ Teams: no se pudo cerrar la respuesta progresiva: ${error.message}`);
+        }
+
+        return await this.context.sendActivity(message);
+    }
+
+    discardText() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.text = '';
+        this.sentText = '';
+    }
+
+    // ==========================================
+    // ENVÍOS
+    // ==========================================
+
+    enqueue(task) {
+        this.queue = this.queue
+            .then(async () => {
+                if (this.failed) return;
+                await task();
+                this.lastSend = Date.now();
+            })
+            .catch(error => {
+                this.failed = true;
+                console.warn(`⚠️ Teams: respuesta progresiva desactivada para este turno: ${error.message}`);
+            });
+    }
+
+    scheduleUpdate() {
+        if (this.timer) return;
+
+        const wait = Math.max(0, STREAM_INTERVAL_MS - (Date.now() - this.lastSend));
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.enqueue(() => this.sendText(this.text));
+        }, wait);
+    }
+
+    async sendInformative(text) {
+        if (this.mode === 'stream') {
+            return await this.sendStreamActivity(text, 'informative');
+        }
+        return await this.upsertMessage(text);
+    }
+
+    async sendText(text) {
+        if (text === this.sentText) return;
+        this.sentText = text;
+
+        if (this.mode === 'stream') {
+            return await this.sendStreamActivity(text, 'streaming');
+        }
+        return await this.upsertMessage(text);
+    }
+
+    async sendStreamActivity(text, streamType) {
+        this.sequence++;
+
+        const streamInfo = { type: 'streaminfo', streamType, streamSequence: this.sequence };
+        if (this.streamId) streamInfo.streamId = this.streamId;
+
+        const response = await this.context.sendActivity({
+            type: 'typing',
+            text,
+            entities: [streamInfo]
+        });
+
+        // La primera actividad del stream define su id
+        if (!this.streamId) {
+            if (!response?.id) throw new Error('Teams no devolvió streamId');
+            this.streamId = response.id;
+        }
+    }
+
+    async upsertMessage(text) {
+        if (!this.activityId) {
+            const response = await this.context.sendActivity(text);
+            if (!response?.id) throw new Error('Teams no devolvió id de actividad');
+            this.activityId = response.id;
+            return;
+        }
+
+        await this.context.updateActivity({ id: this.activityId, type: 'message', text });
+    }
+}
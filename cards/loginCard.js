@@ -3,10 +3,14 @@
 import { CardFactory } from 'botbuilder';
 
 /**
- * Crea una tarjeta de login minimalista
+ * Crea una tarjeta de login minimalista (formulario)
+ * En Teams se muestra dentro del task module; en otros canales, en el chat.
+ * @param {object} [opciones]
+ * @param {string} [opciones.username] - Usuario precargado
+ * @param {string} [opciones.error] - Mensaje del intento anterior
  * @returns {object} AdaptiveCard de login
  */
-export function createLoginCard() {
+export function createLoginCard({ username = null, error = null } = {}) {
     const card = {
         type: 'AdaptiveCard',
         version: '1.0',
@@ -22,10 +26,17 @@ export function createLoginCard() {
                 text: 'Ingresa tus credenciales corporativas:',
                 wrap: true
             },
+            ...(error ? [{
+                type: 'TextBlock',
+                text: `❌ ${error}`,
+                color: 'Attention',
+                wrap: true
+            }] : []),
             {
                 type: 'Input.Text',
                 id: 'username',
-                placeholder: 'Usuario (ej: 91004)'
+                placeholder: 'Usuario (ej: 91004)',
+                ...(username ? { value: username } : {})
             },
             {
                 type: 'Input.Text',
@@ -51,6 +62,66 @@ export function createLoginCard() {
     return CardFactory.adaptiveCard(card);
 }
 
+/**
+ * Crea la tarjeta de Teams que abre el formulario de login en un task module
+ * La contraseña se captura en el task module y no queda en la conversación.
+ * @param {string} [username] - Usuario precargado en el formulario
+ * @returns {object} AdaptiveCard con el botón de login
+ */
+export function createLoginLauncherCard(username = null) {
+    const card = {
+        type: 'AdaptiveCard',
+        version: '1.2',
+        body: [
+            {
+                type: 'TextBlock',
+                text: 'Iniciar Sesión',
+                size: 'Large',
+                weight: 'Bolder'
+            },
+            {
+                type: 'TextBlock',
+                text: 'Ingresa tus credenciales corporativas en el formulario seguro.',
+                wrap: true
+            }
+        ],
+        actions: [
+            {
+                type: 'Action.Submit',
+                title: '🔐 Iniciar Sesión',
+                data: {
+                    msteams: { type: 'task/fetch' },
+                    action: 'login_form',
+                    username: username
+                }
+            }
+        ]
+    };
+
+    return CardFactory.adaptiveCard(card);
+}
+
+/**
+ * Reemplaza una tarjeta de login ya enviada (sin campos ni valores capturados)
+ * @param {boolean} exitoso - Resultado del intento
+ * @returns {object} AdaptiveCard
+ */
+export function createLoginSubmittedCard(exitoso) {
+    const card = {
+        type: 'AdaptiveCard',
+        version: '1.0',
+        body: [
+            {
+                type: 'TextBlock',
+                text: exitoso ? '✅ Sesión iniciada' : '🔒 Credenciales enviadas',
+                weight: 'Bolder'
+            }
+        ]
+    };
+
+    return CardFactory.adaptiveCard(card);
+}
+
 /**
  * Crea mensaje de bienvenida tras login exitoso
  * @param {object} userInfo - Información del usuario
@@ -78,25 +149,26 @@ export function createAuthErrorMessage(errorMessage) {
 }
 
 /**
- * Crea mensaje de instrucciones de login por texto
+ * Crea mensaje de instrucciones cuando la tarjeta de login no se pudo enviar
  * @returns {string} Instrucciones
  */
 export function createTextLoginInstructions() {
     return '🔐 **Bienvenido a Nova Bot**\n\n' +
            '❌ **Error con la tarjeta**\n\n' +
-           '🔄 **Usa el método alternativo:**\n' +
-           'Escribe: `login usuario:contraseña`\n\n' +
-           'Ejemplo: `login 91004:mipassword`';
+           '🔄 Escribe `card-login` en unos segundos para intentarlo de nuevo.';
 }
 
 /**
- * Crea mensaje de formato incorrecto para login por texto
- * @returns {string} Mensaje de error de formato
+ * Crea aviso para quien escribe su contraseña en el chat (`login usuario:contraseña`)
+ * @param {boolean} eliminado - Si el canal permitió borrar el mensaje
+ * @returns {string} Aviso
  */
-export function createInvalidFormatMessage() {
-    return '❌ **Formato incorrecto**\n\n' +
-           '✅ **Formato correcto**: `login usuario:contraseña`\n' +
-           '📝 **Ejemplo**: `login 91004:mipassword`';
+export function createTextCredentialsWarning(eliminado) {
+    return '⚠️ **Por seguridad ya no se aceptan contraseñas en el chat**\n\n' +
+           (eliminado
+               ? 'Eliminamos tu mensaje. '
+               : 'Tu mensaje sigue visible en la conversación: bórralo y cambia tu contraseña. ') +
+           'Usa el formulario seguro para iniciar sesión.';
 }
 
 /**
@@ -0,0 +1,108 @@
+// controllers/adminController.js - Operación del servidor (caché, bloqueos de login)
+// Protegido con ADMIN_API_KEY (header x-admin-key o Authorization: Bearer <key>)
+
+import crypto from 'crypto';
+import { getCacheService } from '../services/cacheService.js';
+import { getStorageService } from '../services/storageService.js';
+import { getAuditService } from '../services/auditService.js';
+import LoginGuard from '../services/loginGuardService.js';
+
+const cache = getCacheService();
+const audit = getAuditService();
+const loginGuard = new LoginGuard(getStorageService());
+
+/**
+ * Compara en tiempo constante para no filtrar la clave por tiempos de respuesta
+ */
+function claveValida(recibida, esperada) {
+    const a = crypto.createHash('sha256').update(String(recibida)).digest();
+    const b = crypto.createHash('sha256').update(String(esperada)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// ============================================================
+// MIDDLEWARE: requiere ADMIN_API_KEY
+// Sin ADMIN_API_KEY configurada los endpoints quedan deshabilitados
+// ============================================================
+export async function requireAdminKey(req, res, next) {
+    const esperada = process.env.ADMIN_API_KEY;
+    if (!esperada) {
+        return res.status(503).json({
+            success: false,
+            message: 'Administración deshabilitada (ADMIN_API_KEY no configurada)'
+        });
+    }
+
+    const recibida = req.get('x-admin-key') || req.get('authorization')?.replace(/^Bearer\s+/i, '');
+    if (!recibida || !claveValida(recibida, esperada)) {
+        console.warn(`🚫 Admin: acceso denegado a ${req.method} ${req.originalUrl}`);
+        await audit.registrar('admin_acceso_denegado', { canal: 'Admin', actor: req.ip, detalle: { ruta: req.originalUrl } });
+        return res.status(401).json({
+            success: false,
+            message: 'Clave de administración inválida'
+        });
+    }
+
+    next();
+}
+
+// ============================================================
+// CACHE STATS
+// GET /api/admin/cache
+// ============================================================
+export function cacheStats(req, res) {
+    return res.json({
+        success: true,
+        cache: cache.getStats()
+    });
+}
+
+// ============================================================
+// CACHE PURGE
+// DELETE /api/admin/cache            → todo el caché
+// DELETE /api/admin/cache/:namespace → p. ej. tasas, embeddings, tool:consultar_procedimientos
+// ============================================================
+export async function cachePurge(req, res) {
+    const namespace = req.params.namespace || null;
+
+    try {
+        const eliminadas = await cache.purge(namespace);
+        await audit.registrar('admin_cache_purgado', { canal: 'Admin', actor: req.ip, detalle: { namespace: namespace || '*' } });
+
+        return res.json({
+            success: true,
+            namespace: namespace || '*',
+            eliminadasLocal: eliminadas
+        });
+    } catch (error) {
+        console.error('❌ Error purgando caché:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error purgando caché'
+        });
+    }
+}
+
+// ============================================================
+// DESBLOQUEO DE LOGIN
+// DELETE /api/admin/login/bloqueos/:usuario → reinicia intentos y bloqueo del usuario Nova
+// ============================================================
+export async function loginUnlock(req, res) {
+    const usuario = req.params.usuario?.trim();
+
+    try {
+        const eliminado = await loginGuard.desbloquear(usuario);
+        await audit.registrar('login_desbloqueado', { canal: 'Admin', actor: req.ip, usuario });
+
+        return res.json({
+            success: eliminado,
+            usuario
+        });
+    } catch (error) {
+        console.error('❌ Error desbloqueando login:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error desbloqueando login'
+        });
+    }
+}
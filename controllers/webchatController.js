@@ -1,15 +1,19 @@
 // controllers/webchatController.js - v3.0 SIMPLIFICADO
 // Reducido de 1335 líneas → ~280 líneas (79% menos código)
-// Compatible con cosmosService v3 (partition key: user_id)
+// Compatible con cualquier StorageAdapter (partition key: user_id = webchat:<CveUsuario>)
 
-import CosmosService from '../services/cosmosService.js';
+import { getStorageService } from '../services/storageService.js';
 import DocumentService from '../services/documentService.js';
 import AzureOpenAIService from '../services/openaiService.js';
+import { getWebchatAuthService } from '../services/webchatAuthService.js';
+import { getAuditService } from '../services/auditService.js';
 
 /** Servicios */
-const cosmos = new CosmosService();
+const storage = getStorageService();
 const docs = new DocumentService();
 const ai = new AzureOpenAIService();
+const webchatAuth = getWebchatAuthService();
+const audit = getAuditService();
 
 /** Configuración */
 const BOT_NAME = 'Asistente Nova';
@@ -17,43 +21,115 @@ const INITIAL_MESSAGE = '¡Hola! Soy tu asistente NovaBot. ¿En qué te puedo ay
 const LANGUAGE = 'es';
 const MAX_HISTORY_MESSAGES = 10;
 
+// Token en body/query (estilo anterior): se acepta hasta esta fecha; sin ella, se acepta marcado como obsoleto
+const LEGACY_TOKEN_UNTIL = leerFechaLegado(process.env.WEBCHAT_LEGACY_TOKEN_UNTIL);
+
+function leerFechaLegado(valor) {
+    if (!valor) return null;
+
+    const fecha = new Date(valor);
+    if (Number.isNaN(fecha.getTime())) {
+        throw new Error(`WEBCHAT_LEGACY_TOKEN_UNTIL no es una fecha válida: ${valor}`);
+    }
+    return fecha;
+}
+
+// ============================================================
+// MIDDLEWARE: requiere un JWT del portal verificado
+// Header: Authorization: Bearer <token>
+// Obsoleto: token en Query/Body (respuesta con headers Deprecation/Sunset) hasta WEBCHAT_LEGACY_TOKEN_UNTIL
+// Deja en req.webchatUser: { token, userId, CveUsuario, NumRI, perfil, claims }
+// ============================================================
+const STATUS_POR_CODIGO = {
+    no_configurado: 503,
+    token_requerido: 400
+};
+
+/**
+ * Token del request y de dónde vino: 'header' | 'body' | 'query'
+ */
+function leerToken(req) {
+    const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+    if (bearer) return { token: bearer, origen: 'header' };
+    if (req.body?.token) return { token: req.body.token, origen: 'body' };
+    if (req.query?.token) return { token: req.query.token, origen: 'query' };
+    return { token: null, origen: null };
+}
+
+export async function requireToken(req, res, next) {
+    const { token, origen } = leerToken(req);
+
+    if (origen === 'body' || origen === 'query') {
+        if (LEGACY_TOKEN_UNTIL && Date.now() >= LEGACY_TOKEN_UNTIL.getTime()) {
+            console.warn(`🚫 WebChat: ${req.method} ${req.baseUrl}${req.path} rechazado: token en ${origen} (ya no se acepta)`);
+            await audit.registrar('webchat_token_rechazado', { canal: 'WebChat', actor: req.ip, detalle: { codigo: 'token_legado', ruta: `${req.baseUrl}${req.path}` } });
+            return res.status(401).json({
+                success: false,
+                code: 'token_legado',
+                message: 'Envía el token en el header Authorization: Bearer <token>'
+            });
+        }
+
+        // RFC 8594: el cliente puede detectar que debe migrar antes de la fecha límite
+        res.set('Deprecation', 'true');
+        if (LEGACY_TOKEN_UNTIL) {
+            res.set('Sunset', LEGACY_TOKEN_UNTIL.toUTCString());
+        }
+        console.warn(`⚠️ WebChat: ${req.method} ${req.baseUrl}${req.path} con token en ${origen} (obsoleto, usar Authorization: Bearer)`);
+    }
+
+    try {
+        const usuario = await webchatAuth.verificar(token);
+        req.webchatUser = { token, ...usuario };
+        next();
+    } catch (error) {
+        if (error.name !== 'WebchatAuthError') {
+            console.error('❌ Error verificando token de WebChat:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error verificando token'
+            });
+        }
+
+        console.warn(`🚫 WebChat: ${req.method} ${req.baseUrl}${req.path} rechazado (${error.codigo}): ${error.message}`);
+        if (error.codigo !== 'no_configurado') {
+            await audit.registrar('webchat_token_rechazado', { canal: 'WebChat', actor: req.ip, detalle: { codigo: error.codigo, ruta: `${req.baseUrl}${req.path}` } });
+        }
+        return res.status(STATUS_POR_CODIGO[error.codigo] || 401).json({
+            success: false,
+            code: error.codigo,
+            message: error.codigo === 'no_configurado' ? 'Servicio de WebChat no disponible' : error.message
+        });
+    }
+}
+
 // ============================================================
 // INIT: Inicializar chat (devuelve mensaje de bienvenida)
 // GET/POST /api/webchat/init
-// Query/Body: token, perfil?
-// Nota: perfil es case-insensitive
+// Header: Authorization: Bearer <token>
+// Query/Body: perfil?
+// Nota: perfil es case-insensitive; si el token trae perfil, ese prevalece
 // ============================================================
 export async function init(req, res) {
     try {
-        const token = req.query.token || req.body?.token;
+        const { userId } = req.webchatUser;
         // Case-insensitive: perfil, Perfil, PERFIL
-        const perfil = req.query.perfil ?? req.body?.perfil ?? req.body?.Perfil ?? null;
+        const perfil = req.webchatUser.perfil ?? req.query.perfil ?? req.body?.perfil ?? req.body?.Perfil ?? null;
 
         console.log(`📝 WebChat INIT - Request completo:`, {
-            token: token ? `${token.substring(0, 12)}...` : 'NO ENVIADO',
+            userId: userId,
             perfil: perfil,
             body: req.body ? Object.keys(req.body) : [],
             query: req.query ? Object.keys(req.query) : []
         });
 
-        // Validar token
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Token requerido'
-            });
-        }
-
-        // ✅ V3: Usar token directamente como user_id
-        const userId = token;
-
         // Guardar mensaje inicial (opcional, no bloqueante)
-        if (cosmos.isAvailable()) {
+        if (storage.isAvailable()) {
             try {
-                await cosmos.saveMessage(userId, 'assistant', INITIAL_MESSAGE);
-                console.log(`✅ [${token.substring(0,8)}...] Mensaje inicial guardado`);
+                await storage.saveMessage(userId, 'assistant', INITIAL_MESSAGE);
+                console.log(`✅ [${userId}] Mensaje inicial guardado`);
             } catch (error) {
-                console.warn(`⚠️ [${token.substring(0,8)}...] Error guardando mensaje inicial:`, error.message);
+                console.warn(`⚠️ [${userId}] Error guardando mensaje inicial:`, error.message);
             }
         }
 
@@ -77,37 +153,20 @@ export async function init(req, res) {
 // ============================================================
 // ASK: Procesar mensaje del usuario
 // POST /api/webchat/ask
-// Body: { token, content, perfil?, CveUsuario?, NumRI? }
-// Nota: perfil, CveUsuario y NumRI son case-insensitive
+// Header: Authorization: Bearer <token>
+// Body: { content, perfil?, NumRI?, locale? }
+// Nota: perfil y NumRI son case-insensitive; CveUsuario sale siempre del token verificado
 // ============================================================
 export async function ask(req, res) {
     try {
-        const body = req.body || {};
-
-        // Extraer parámetros de forma case-insensitive (usando ?? para permitir "0", "", false)
-        const token = body.token;
-        const content = body.content;
-        // Case-insensitive: perfil, Perfil, PERFIL (permitir "0", "1", "2", etc.)
-        const perfil = body.perfil ?? body.Perfil ?? body.PERFIL ?? null;
-        // Case-insensitive: CveUsuario, cveUsuario, cveusuario
-        const CveUsuario = body.CveUsuario ?? body.cveUsuario ?? body.cveusuario ?? body.CVEUSUARIO ?? null;
-        // Case-insensitive: NumRI, numRi, numri, NUMRI
-        const NumRI = body.NumRI ?? body.numRi ?? body.numri ?? body.NUMRI ?? null;
-
-        console.log(`📝 WebChat ASK - Request completo:`, {
-            token: token ? `${token.substring(0, 12)}...` : 'NO ENVIADO',
-            content: content ? `"${content.substring(0, 40)}..."` : 'NO ENVIADO',
-            perfil: perfil,
-            CveUsuario: CveUsuario,
-            NumRI: NumRI,
-            bodyKeys: Object.keys(body)
-        });
+        const params = leerParametrosAsk(req.body, req.webchatUser, 'ASK');
+        const { token, userId, content } = params;
 
         // Validar parámetros
-        if (!token || !content) {
+        if (!content) {
             return res.status(400).json({
                 success: false,
-                message: 'Faltan parámetros: token, content'
+                message: 'Faltan parámetros: content'
             });
         }
 
@@ -119,81 +178,36 @@ export async function ask(req, res) {
             });
         }
 
-        // ✅ V3: Para WebChat, user_id = token (JWT completo)
-        const userId = token;
-
-        // 1. GUARDAR MENSAJE DEL USUARIO
-        if (cosmos.isAvailable()) {
-            try {
-                await cosmos.saveMessage(userId, 'user', content);
-                console.log(`💾 [${token.substring(0,8)}...] Mensaje guardado`);
-            } catch (error) {
-                console.error(`❌ [${token.substring(0,8)}...] Error guardando mensaje:`, error.message);
-            }
-        }
-
-        // 2. OBTENER HISTORIAL (últimos 10 mensajes)
-        let historial = [];
-        if (cosmos.isAvailable()) {
-            try {
-                const messages = await cosmos.getLastMessages(userId, MAX_HISTORY_MESSAGES);
-
-                if (messages && messages.length > 0) {
-                    historial = messages.map(msg => ({
-                        role: msg.role,
-                        content: msg.content
-                    }));
-                    console.log(`📚 [${token.substring(0,8)}...] Historial obtenido: ${historial.length} mensajes`);
-                }
-            } catch (error) {
-                console.error(`❌ [${token.substring(0,8)}...] Error obteniendo historial:`, error.message);
-            }
-        }
-
-        // 3. AGREGAR MENSAJE ACTUAL SI NO ESTÁ EN EL HISTORIAL
-        if (!historial.length || historial[historial.length - 1].content !== content) {
-            historial.push({ role: 'user', content });
-        }
+        // 1-3. GUARDAR MENSAJE DEL USUARIO Y OBTENER HISTORIAL
+        const historial = await prepararConversacion(userId, content);
 
         // 4. PROCESAR CON IA (usa openaiService.procesarMensaje)
         let response;
         try {
-            // Preparar contexto de usuario
-            const userContext = {
-                usuario: userId,  // Para WebChat = token completo (por consistencia)
-                perfil: perfil ?? 'general',  // Default solo si es null/undefined
-                CveUsuario: CveUsuario,
-                NumRI: NumRI
-            };
-
             // ✅ Firma actualizada v3.1: procesarMensaje(mensaje, historial, userToken, userInfo, conversationId, userId)
-            // Para WebChat: userToken = userId = token (mismo valor)
+            // Para WebChat: userToken = JWT del portal (para la API Nova), userId = webchat:<CveUsuario>
             response = await ai.procesarMensaje(
                 content,     // mensaje
                 historial,   // historial de mensajes
                 token,       // userToken (JWT completo)
-                userContext, // userInfo
+                crearUserContext(userId, params), // userInfo
                 null,        // conversationId (opcional)
-                userId       // ✅ user_id para Cosmos (en WebChat = token)
+                userId,      // ✅ user_id estable para la persistencia
+                { locale: params.locale }
             );
 
-            console.log(`🤖 [${token.substring(0,8)}...] Respuesta generada: ${response.content?.substring(0, 50)}...`);
+            console.log(`🤖 [${userId}] Respuesta generada: ${response.content?.substring(0, 50)}...`);
         } catch (error) {
-            console.error(`❌ [${token.substring(0,8)}...] Error procesando con IA:`, error);
+            console.error(`❌ [${userId}] Error procesando con IA:`, error);
             return res.status(500).json({
                 success: false,
                 message: 'Error procesando mensaje con IA'
             });
         }
 
-        // 5. GUARDAR RESPUESTA DEL BOT
-        if (cosmos.isAvailable() && response.content) {
-            try {
-                await cosmos.saveMessage(userId, 'assistant', response.content);
-                console.log(`💾 [${token.substring(0,8)}...] Respuesta guardada`);
-            } catch (error) {
-                console.error(`❌ [${token.substring(0,8)}...] Error guardando respuesta:`, error.message);
-            }
+        // 5. GUARDAR RESPUESTA DEL BOT (los mensajes de modo degradado no entran al historial)
+        if (!response.metadata?.degraded) {
+            await guardarRespuesta(userId, response.content);
         }
 
         // 6. RESPONDER
@@ -201,6 +215,7 @@ export async function ask(req, res) {
             success: true,
             message: response.content || 'No pude generar una respuesta',
             type: response.type || 'text',
+            attachments: response.attachments || [],
             metadata: response.metadata || {}
         });
 
@@ -213,40 +228,210 @@ export async function ask(req, res) {
     }
 }
 
+// ============================================================
+// ASK STREAM: Procesar mensaje con respuesta progresiva (SSE)
+// POST /api/webchat/ask/stream
+// Body: igual que /ask
+// Eventos: tool_start { id, name }, tool_end { id, name, success },
+//          delta { content }, reset {} (descartar los deltas recibidos), done { message, type, attachments, metadata }, error { message }
+// ============================================================
+export async function askStream(req, res) {
+    const params = leerParametrosAsk(req.body, req.webchatUser, 'ASK STREAM');
+    const { token, userId, content } = params;
+
+    // Errores de validación: JSON normal (el stream aún no empieza)
+    if (!content) {
+        return res.status(400).json({
+            success: false,
+            message: 'Faltan parámetros: content'
+        });
+    }
+
+    if (!ai || typeof ai.procesarMensaje !== 'function') {
+        return res.status(503).json({
+            success: false,
+            message: 'Servicio de IA no disponible'
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Evitar buffering en proxies (nginx/App Service)
+    });
+    res.flushHeaders();
+
+    // Si el cliente se desconecta se deja de escribir, pero la respuesta se genera y guarda completa.
+    // Se vigila la respuesta: en Node 20 el 'close' de req llega en cuanto se leyó el body
+    let clienteConectado = true;
+    res.on('close', () => { clienteConectado = false; });
+
+    const enviarEvento = (evento, datos) => {
+        if (!clienteConectado || res.writableEnded || res.destroyed) return;
+        res.write(`event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`);
+    };
+
+    try {
+        const historial = await prepararConversacion(userId, content);
+
+        const response = await ai.procesarMensaje(
+            content,
+            historial,
+            token,
+            crearUserContext(userId, params),
+            null,
+            userId,
+            { onEvent: enviarEvento, locale: params.locale }
+        );
+
+        console.log(`🤖 [${userId}] Respuesta (stream) generada: ${response.content?.substring(0, 50)}...`);
+
+        if (!response.metadata?.degraded) {
+            await guardarRespuesta(userId, response.content);
+        }
+
+        enviarEvento('done', {
+            message: response.content || 'No pude generar una respuesta',
+            type: response.type || 'text',
+            attachments: response.attachments || [],
+            metadata: response.metadata || {}
+        });
+    } catch (err) {
+        console.error(`❌ [${userId}] Error en ask stream:`, err);
+        enviarEvento('error', { message: 'Error procesando mensaje' });
+    }
+
+    if (!res.writableEnded) res.end();
+}
+
+// ============================================================
+// UTILIDADES DE ASK
+// ============================================================
+
+/**
+ * Extrae parámetros del body de forma case-insensitive (usando ?? para permitir "0", "", false)
+ * La identidad viene del token verificado: el CveUsuario del body se ignora y perfil/NumRI del token prevalecen.
+ */
+function leerParametrosAsk(body = {}, usuario, etiqueta) {
+    const { token, userId, CveUsuario } = usuario;
+    const content = body.content;
+    // Case-insensitive: perfil, Perfil, PERFIL (permitir "0", "1", "2", etc.)
+    const perfil = usuario.perfil ?? body.perfil ?? body.Perfil ?? body.PERFIL ?? null;
+    // Case-insensitive: NumRI, numRi, numri, NUMRI
+    const NumRI = usuario.NumRI ?? body.NumRI ?? body.numRi ?? body.numri ?? body.NUMRI ?? null;
+    // Idioma para mensajes de error ("es-MX", "en"...); default español
+    const locale = body.locale ?? body.idioma ?? null;
+
+    const cveBody = body.CveUsuario ?? body.cveUsuario ?? body.cveusuario ?? body.CVEUSUARIO ?? null;
+    if (cveBody !== null && String(cveBody) !== CveUsuario) {
+        console.warn(`⚠️ WebChat ${etiqueta}: CveUsuario del body (${cveBody}) no coincide con el token (${CveUsuario}); se usa el del token`);
+    }
+
+    console.log(`📝 WebChat ${etiqueta} - Request completo:`, {
+        userId: userId,
+        content: content ? `"${content.substring(0, 40)}..."` : 'NO ENVIADO',
+        perfil: perfil,
+        NumRI: NumRI,
+        locale: locale,
+        bodyKeys: Object.keys(body)
+    });
+
+    return { token, userId, content, perfil, CveUsuario, NumRI, locale };
+}
+
+/**
+ * Contexto de usuario para procesarMensaje
+ */
+function crearUserContext(userId, { perfil, CveUsuario, NumRI }) {
+    return {
+        usuario: userId,  // webchat:<CveUsuario>
+        perfil: perfil ?? 'general',  // Default solo si es null/undefined
+        CveUsuario: CveUsuario,
+        NumRI: NumRI
+    };
+}
+
+/**
+ * Guarda el mensaje del usuario y devuelve el historial (incluye el mensaje actual)
+ */
+async function prepararConversacion(userId, content) {
+    const tag = userId;
+
+    // 1. GUARDAR MENSAJE DEL USUARIO
+    if (storage.isAvailable()) {
+        try {
+            await storage.saveMessage(userId, 'user', content);
+            console.log(`💾 [${tag}] Mensaje guardado`);
+        } catch (error) {
+            console.error(`❌ [${tag}] Error guardando mensaje:`, error.message);
+        }
+    }
+
+    // 2. OBTENER HISTORIAL (últimos 10 mensajes)
+    let historial = [];
+    if (storage.isAvailable()) {
+        try {
+            const messages = await storage.getLastMessages(userId, MAX_HISTORY_MESSAGES);
+
+            if (messages && messages.length > 0) {
+                historial = messages.map(msg => ({
+                    role: msg.role,
+                    content: msg.content
+                }));
+                console.log(`📚 [${tag}] Historial obtenido: ${historial.length} mensajes`);
+            }
+        } catch (error) {
+            console.error(`❌ [${tag}] Error obteniendo historial:`, error.message);
+        }
+    }
+
+    // 3. AGREGAR MENSAJE ACTUAL SI NO ESTÁ EN EL HISTORIAL
+    if (!historial.length || historial[historial.length - 1].content !== content) {
+        historial.push({ role: 'user', content });
+    }
+
+    return historial;
+}
+
+/**
+ * Guarda la respuesta completa del bot
+ */
+async function guardarRespuesta(userId, content) {
+    if (!storage.isAvailable() || !content) return;
+
+    try {
+        await storage.saveMessage(userId, 'assistant', content);
+        console.log(`💾 [${userId}] Respuesta guardada`);
+    } catch (error) {
+        console.error(`❌ [${userId}] Error guardando respuesta:`, error.message);
+    }
+}
+
 // ============================================================
 // HISTORY: Obtener historial de mensajes
 // GET /api/webchat/history
-// Query: token, limit?
+// Header: Authorization: Bearer <token>
+// Query: limit?
 // ============================================================
 export async function history(req, res) {
     try {
-        const token = req.query.token;
+        const { userId } = req.webchatUser;
         const limit = parseInt(req.query.limit) || MAX_HISTORY_MESSAGES;
 
-        console.log(`📜 WebChat HISTORY - Token: ${token?.substring(0, 8)}..., Limit: ${limit}`);
-
-        // Validar token
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Token requerido'
-            });
-        }
-
-        // ✅ V3: Usar token directamente como user_id
-        const userId = token;
+        console.log(`📜 WebChat HISTORY - Usuario: ${userId}, Limit: ${limit}`);
 
         // Obtener mensajes
-        if (!cosmos.isAvailable()) {
+        if (!storage.isAvailable()) {
             return res.json({
                 success: true,
                 items: [],
                 count: 0,
-                message: 'Cosmos DB no disponible - sin historial'
+                message: 'Persistencia no disponible - sin historial'
             });
         }
 
-        const messages = await cosmos.getLastMessages(userId, limit);
+        const messages = await storage.getLastMessages(userId, limit);
 
         return res.json({
             success: true,
@@ -266,43 +451,32 @@ export async function history(req, res) {
 // ============================================================
 // CLEAR: Limpiar historial de mensajes
 // DELETE /api/webchat/clear
-// Body: { token }
+// Header: Authorization: Bearer <token>
 // ============================================================
 export async function clear(req, res) {
     try {
-        const token = req.body?.token || req.query?.token;
+        const { userId } = req.webchatUser;
 
-        console.log(`🗑️ WebChat CLEAR - Token: ${token?.substring(0, 8)}...`);
-
-        // Validar token
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Token requerido'
-            });
-        }
-
-        // ✅ V3: Usar token directamente como user_id
-        const userId = token;
+        console.log(`🗑️ WebChat CLEAR - Usuario: ${userId}`);
 
         // Limpiar mensajes
-        if (!cosmos.isAvailable()) {
+        if (!storage.isAvailable()) {
             return res.json({
                 success: true,
-                message: 'Cosmos DB no disponible - nada que limpiar'
+                message: 'Persistencia no disponible - nada que limpiar'
             });
         }
 
-        const cleared = await cosmos.clearUserMessages(userId);
+        const cleared = await storage.clearUserMessages(userId);
 
         if (cleared) {
-            console.log(`✅ [${token.substring(0,8)}...] Historial limpiado`);
+            console.log(`✅ [${userId}] Historial limpiado`);
             return res.json({
                 success: true,
                 message: 'Historial limpiado correctamente'
             });
         } else {
-            console.warn(`⚠️ [${token.substring(0,8)}...] No se pudo limpiar historial`);
+            console.warn(`⚠️ [${userId}] No se pudo limpiar historial`);
             return res.json({
                 success: false,
                 message: 'No se pudo limpiar el historial'
@@ -327,14 +501,22 @@ export async function status(req, res) {
         return res.json({
             success: true,
             services: {
-                cosmos: {
-                    available: cosmos.isAvailable ? cosmos.isAvailable() : false
+                storage: {
+                    provider: storage.provider,
+                    available: storage.isAvailable()
                 },
                 ai: {
-                    available: ai.isAvailable ? ai.isAvailable() : false
+                    available: ai.isAvailable ? ai.isAvailable() : false,
+                    model: ai.getModelConfig(null, 'WebChat'),
+                    prompts: ai.getPromptVersions(),
+                    deployments: ai.getDeploymentsState()
                 },
                 documents: {
                     available: docs && typeof docs.buscarDocumentos === 'function'
+                },
+                auth: {
+                    configured: webchatAuth.isConfigured(),
+                    source: webchatAuth.origen
                 }
             },
             version: '3.0.0-Simplified',
@@ -0,0 +1,52 @@
+// dialogs/loginDialog.js - Login guiado paso a paso (usuario → formulario seguro)
+import { ComponentDialog, TextPrompt, WaterfallDialog } from 'botbuilder-dialogs';
+
+export const LOGIN_DIALOG = 'loginDialog';
+
+const USERNAME_PROMPT = 'loginUsernamePrompt';
+const LOGIN_WATERFALL = 'loginWaterfall';
+
+/**
+ * LoginDialog - Inicio de sesión guiado
+ *
+ * Solo el usuario se pide en el chat: la contraseña nunca se escribe como mensaje,
+ * se captura en el formulario seguro que muestra el bot mediante `onUsername`
+ * (task module en Teams) con el usuario precargado.
+ */
+export default class LoginDialog extends ComponentDialog {
+    /**
+     * @param {Function} onUsername - async (context, username) => void
+     */
+    constructor(onUsername) {
+        super(LOGIN_DIALOG);
+
+        if (typeof onUsername !== 'function') {
+            throw new Error('[LoginDialog]: onUsername es requerido');
+        }
+        this.onUsername = onUsername;
+
+        this.addDialog(new TextPrompt(USERNAME_PROMPT, this.validateNotEmpty))
+            .addDialog(new WaterfallDialog(LOGIN_WATERFALL, [
+                this.askUsername.bind(this),
+                this.showForm.bind(this)
+            ]));
+
+        this.initialDialogId = LOGIN_WATERFALL;
+    }
+
+    async validateNotEmpty(promptContext) {
+        return promptContext.recognized.succeeded && promptContext.recognized.value.trim().length > 0;
+    }
+
+    async askUsername(step) {
+        return await step.prompt(USERNAME_PROMPT, {
+            prompt: '👤 **Inicio de sesión**\n\nEscribe tu usuario (o `cancelar` para salir):',
+            retryPrompt: '❌ El usuario no puede estar vacío. Escríbelo nuevamente:'
+        });
+    }
+
+    async showForm(step) {
+        await this.onUsername(step.context, step.result.trim());
+        return await step.endDialog();
+    }
+}
@@ -0,0 +1,48 @@
+// dialogs/logoutDialog.js - Confirmación antes de cerrar sesión
+import { ComponentDialog, ConfirmPrompt, WaterfallDialog } from 'botbuilder-dialogs';
+
+export const LOGOUT_DIALOG = 'logoutDialog';
+
+const CONFIRM_PROMPT = 'logoutConfirmPrompt';
+const LOGOUT_WATERFALL = 'logoutWaterfall';
+
+/**
+ * LogoutDialog - Pide confirmación (Sí/No) y ejecuta `onConfirm` si el usuario acepta
+ */
+export default class LogoutDialog extends ComponentDialog {
+    /**
+     * @param {Function} onConfirm - async (context) => void
+     */
+    constructor(onConfirm) {
+        super(LOGOUT_DIALOG);
+
+        if (typeof onConfirm !== 'function') {
+            throw new Error('[LogoutDialog]: onConfirm es requerido');
+        }
+        this.onConfirm = onConfirm;
+
+        this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT, undefined, 'es-es'))
+            .addDialog(new WaterfallDialog(LOGOUT_WATERFALL, [
+                this.askConfirm.bind(this),
+                this.finish.bind(this)
+            ]));
+
+        this.initialDialogId = LOGOUT_WATERFALL;
+    }
+
+    async askConfirm(step) {
+        return await step.prompt(CONFIRM_PROMPT, {
+            prompt: '🚪 ¿Seguro que deseas cerrar sesión?',
+            retryPrompt: 'Responde **Sí** o **No**:'
+        });
+    }
+
+    async finish(step) {
+        if (step.result) {
+            await this.onConfirm(step.context);
+        } else {
+            await step.context.sendActivity('👍 Tu sesión sigue activa.');
+        }
+        return await step.endDialog();
+    }
+}
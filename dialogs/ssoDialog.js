@@ -0,0 +1,59 @@
+// dialogs/ssoDialog.js - Login con la cuenta de Microsoft (SSO de Teams)
+import { ComponentDialog, OAuthPrompt, WaterfallDialog } from 'botbuilder-dialogs';
+
+export const SSO_DIALOG = 'ssoDialog';
+
+const OAUTH_PROMPT = 'ssoOAuthPrompt';
+const SSO_WATERFALL = 'ssoWaterfall';
+
+// Tiempo para completar el consentimiento antes de que el prompt expire (ms)
+const SSO_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * SsoDialog - Obtiene el token de Azure AD con la conexión OAuth del bot
+ *
+ * En Teams el cliente intercambia el token en silencio (signin/tokenExchange, ver
+ * TeamsSSOTokenExchangeMiddleware en index.js); solo la primera vez pide consentimiento.
+ * Si el usuario escribe otra cosa o cierra la ventana, el diálogo termina sin token
+ * y `onToken` recibe null (el bot ofrece el formulario de usuario y contraseña).
+ */
+export default class SsoDialog extends ComponentDialog {
+    /**
+     * @param {string} connectionName - Conexión OAuth del Azure Bot
+     * @param {Function} onToken - async (context, token|null) => void
+     */
+    constructor(connectionName, onToken) {
+        super(SSO_DIALOG);
+
+        if (!connectionName) {
+            throw new Error('[SsoDialog]: connectionName es requerido');
+        }
+        if (typeof onToken !== 'function') {
+            throw new Error('[SsoDialog]: onToken es requerido');
+        }
+        this.onToken = onToken;
+
+        this.addDialog(new OAuthPrompt(OAUTH_PROMPT, {
+            connectionName,
+            title: 'Iniciar sesión',
+            text: '🔐 Inicia sesión con tu cuenta de Microsoft para usar Nova Bot.',
+            timeout: SSO_TIMEOUT,
+            endOnInvalidMessage: true
+        }))
+            .addDialog(new WaterfallDialog(SSO_WATERFALL, [
+                this.promptToken.bind(this),
+                this.completeLogin.bind(this)
+            ]));
+
+        this.initialDialogId = SSO_WATERFALL;
+    }
+
+    async promptToken(step) {
+        return await step.beginDialog(OAUTH_PROMPT);
+    }
+
+    async completeLogin(step) {
+        await this.onToken(step.context, step.result?.token || null);
+        return await step.endDialog();
+    }
+}
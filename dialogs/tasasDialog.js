@@ -0,0 +1,91 @@
+// dialogs/tasasDialog.js - Pregunta de seguimiento "¿de qué año?" para consultar_tasas_interes
+import { ComponentDialog, NumberPrompt, WaterfallDialog } from 'botbuilder-dialogs';
+
+export const TASAS_DIALOG = 'tasasDialog';
+
+const ANIO_PROMPT = 'tasasAnioPrompt';
+const TASAS_WATERFALL = 'tasasWaterfall';
+
+// Mismos límites que el parámetro `anio` de consultar_tasas_interes
+const ANIO_MIN = 2020;
+const ANIO_MAX = 2030;
+
+// Respuestas que no son un año antes de rendirse y consultar sin año
+const MAX_INTENTOS_ANIO = 3;
+
+// Solo consultas simples: un mensaje largo o una comparación se deja a la IA
+const MAX_PALABRAS_CONSULTA = 8;
+const PALABRAS_COMPARACION = /\b(compar\w*|vs|versus|diferencias?|mejor(es)?|peor(es)?|entre|cambi\w*|evolucion\w*|tendencias?|historic\w*|grafic\w*)\b/i;
+
+/**
+ * Detecta una consulta simple de tasas que no especifica año
+ * (p. ej. "¿cuáles son las tasas?"; no "compara las tasas de ahorro y plazo fijo")
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function esConsultaTasasSinAnio(text) {
+    // Sin acentos para que "comparación" o "histórico" coincidan
+    const normalizado = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+    return /\btasas?\b/i.test(normalizado) &&
+        !/\b(19|20)\d{2}\b/.test(normalizado) &&
+        !PALABRAS_COMPARACION.test(normalizado) &&
+        normalizado.trim().split(/\s+/).length <= MAX_PALABRAS_CONSULTA;
+}
+
+function esAnioValido(anio) {
+    return Number.isInteger(anio) && anio >= ANIO_MIN && anio <= ANIO_MAX;
+}
+
+/**
+ * TasasDialog - Completa la pregunta del usuario con el año antes de enviarla a la IA
+ * Opciones de inicio: { texto } con el mensaje original
+ * Tras MAX_INTENTOS_ANIO respuestas sin año válido, la pregunta original va a la IA sin año.
+ */
+export default class TasasDialog extends ComponentDialog {
+    /**
+     * @param {Function} onPregunta - async (context, texto) => void (texto con el año, si se obtuvo)
+     */
+    constructor(onPregunta) {
+        super(TASAS_DIALOG);
+
+        if (typeof onPregunta !== 'function') {
+            throw new Error('[TasasDialog]: onPregunta es requerido');
+        }
+        this.onPregunta = onPregunta;
+
+        this.addDialog(new NumberPrompt(ANIO_PROMPT, this.validateAnio, 'es-es'))
+            .addDialog(new WaterfallDialog(TASAS_WATERFALL, [
+                this.askAnio.bind(this),
+                this.consultar.bind(this)
+            ]));
+
+        this.initialDialogId = TASAS_WATERFALL;
+    }
+
+    async validateAnio(promptContext) {
+        if (promptContext.recognized.succeeded && esAnioValido(promptContext.recognized.value)) {
+            return true;
+        }
+        // Sin año tras varios intentos: se termina el prompt y consultar() sigue sin año
+        return promptContext.attemptCount >= MAX_INTENTOS_ANIO;
+    }
+
+    async askAnio(step) {
+        step.values.texto = step.options?.texto || 'Consulta las tasas de interés';
+
+        return await step.prompt(ANIO_PROMPT, {
+            prompt: `📅 ¿De qué año quieres consultar las tasas? (${ANIO_MIN}-${ANIO_MAX})`,
+            retryPrompt: `❌ Escribe un año válido entre ${ANIO_MIN} y ${ANIO_MAX} (o escribe *cancelar*):`
+        });
+    }
+
+    async consultar(step) {
+        const texto = esAnioValido(step.result)
+            ? `${step.values.texto} (año ${step.result})`
+            : step.values.texto;
+
+        await this.onPregunta(step.context, texto);
+        return await step.endDialog();
+    }
+}
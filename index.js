@@ -6,42 +6,45 @@ import {
   ConfigurationBotFrameworkAuthentication,
   MemoryStorage,
   ConversationState,
-  UserState
+  UserState,
+  TeamsSSOTokenExchangeMiddleware
 } from 'botbuilder';
 
 import TeamsBot from './bots/teamsBot.js';
+import BotConfigService from './services/botConfigService.js';
+import BotStateStorage from './services/botStateStorage.js';
+import { getStorageService } from './services/storageService.js';
+import { getCacheService } from './services/cacheService.js';
 
-// ✅ CONFIGURACIÓN MULTI-BOT
-const BOT_CONFIGS = [
-  {
-    id: 'bot1',
-    name: 'Nova Bot Principal',
-    endpoint: '/api/messages', // Bot principal mantiene ruta original
-    appId: process.env.MicrosoftAppId,
-    appPassword: process.env.MicrosoftAppPassword,
-    appType: process.env.MicrosoftAppType || 'SingleTenant',
-    tenantId: process.env.MicrosoftAppTenantId
-  },
-  {
-    id: 'bot2',
-    name: 'Nova Bot 2',
-    endpoint: '/api/messages/bot',
-    appId: process.env.MicrosoftAppId_Bot2,
-    appPassword: process.env.MicrosoftAppPassword_Bot2,
-    appType: process.env.MicrosoftAppType_Bot2 || 'SingleTenant',
-    tenantId: process.env.MicrosoftAppTenantId // Mismo tenant
-  },
-  {
-    id: 'bot3',
-    name: 'Nova Bot 3',
-    endpoint: '/api/messages/bot2',
-    appId: process.env.MicrosoftAppId_Bot3,
-    appPassword: process.env.MicrosoftAppPassword_Bot3,
-    appType: process.env.MicrosoftAppType_Bot3 || 'SingleTenant',
-    tenantId: process.env.MicrosoftAppTenantId // Mismo tenant
+// ✅ CONFIGURACIÓN MULTI-BOT: declarativa en config/bots.json (o BOTS_CONFIG_PATH)
+// Cada entrada define id, nombre, endpoint, variables de credenciales, persona y herramientas
+const botConfigService = new BotConfigService();
+
+// ✅ ESTADO DEL BOT: persistente sobre el adaptador de persistencia (Cosmos o JSON local)
+// Uno por bot: las claves de botbuilder no incluyen al bot y varios bots pueden estar en el mismo chat grupal
+const storageService = getStorageService();
+
+if (!storageService.isAvailable()) {
+  console.warn('⚠️ Persistencia no disponible - estado del bot en memoria (se pierde al reiniciar)');
+}
+
+// En memoria se conserva por id para que una recarga de config/bots.json no pierda el estado
+const memoryStorages = new Map();
+
+function createStateStorage(botId) {
+  if (storageService.isAvailable()) {
+    return new BotStateStorage(storageService, botId);
+  }
+  if (!memoryStorages.has(botId)) {
+    memoryStorages.set(botId, new MemoryStorage());
   }
-  // Puedes agregar más bots aquí siguiendo el patrón
-];
+  return memoryStorages.get(botId);
+}
+
+// URL con el valor de ?token= oculto: el estilo anterior de WebChat lo manda en la URL
+function urlSinToken(url) {
+  return String(url).replace(/([?&]token=)[^&#]*/gi, '$1[redactado]');
+}
 
 // ✅ FUNCIÓN PARA CREAR ADAPTADOR Y BOT
 function createBotInstance(config) {
@@ -69,13 +72,21 @@ function createBotInstance(config) {
       await context.sendActivity('Lo siento, ocurrió un error procesando tu solicitud.');
     };
 
-    // Crear estados específicos (pueden ser compartidos o separados según necesites)
-    const storage = new MemoryStorage();
-    const conversationState = new ConversationState(storage);
-    const userState = new UserState(storage);
+    const botStateStorage = createStateStorage(config.id);
+
+    // SSO de Teams: intercambia el token del cliente (signin/tokenExchange) con la conexión OAuth
+    // y descarta los intercambios repetidos de otros clientes del mismo usuario
+    if (config.ssoConnectionName) {
+      adapter.use(new TeamsSSOTokenExchangeMiddleware(botStateStorage, config.ssoConnectionName));
+      console.log(`   🔐 SSO: conexión ${config.ssoConnectionName}`);
+    }
+
+    // Crear estados específicos sobre el storage del bot
+    const conversationState = new ConversationState(botStateStorage);
+    const userState = new UserState(botStateStorage);
     
-    // Crear instancia del bot
-    const bot = new TeamsBot(conversationState, userState);
+    // Crear instancia del bot (persona y herramientas según su entrada en config/bots.json)
+    const bot = new TeamsBot(conversationState, userState, config);
 
     return {
       config,
@@ -98,6 +109,7 @@ async function startServer() {
   
   // Rutas de chat web (init, ask, history, clear, status)
   const { default: webchatRoute } = await import('./routes/webchatRoute.js');
+  const { default: adminRoute } = await import('./routes/adminRoute.js');
   
   const app = express();
   
@@ -128,49 +140,108 @@ async function startServer() {
 
   // ✅ Chat web (modular) - CORREGIDO: /api/webchat
   app.use('/api/webchat', webchatRoute);
+
+  // ✅ Administración (caché) - requiere ADMIN_API_KEY
+  app.use('/api/admin', adminRoute);
   
   // ✅ Rutas de documentos
   app.use('/api', pdfRoutes);
   app.use('/api', wordRoutes);
   
   // ✅ CREAR INSTANCIAS DE BOTS
-  const activeBots = [];
+  // Registro dinámico: id → instancia y endpoint → instancia.
+  // Un solo dispatcher atiende /api/messages/* y busca el bot en el registro,
+  // así un cambio en el archivo de bots registra/actualiza/elimina endpoints sin reiniciar.
   const botInstances = new Map();
+  const botsByEndpoint = new Map();
+  const activeBots = () => Array.from(botInstances.values());
 
-  console.log('🚀 Inicializando bots...');
-  
-  for (const config of BOT_CONFIGS) {
+  const registerBot = (config) => {
     const botInstance = createBotInstance(config);
-    
-    if (botInstance) {
-      activeBots.push(botInstance);
-      botInstances.set(config.id, botInstance);
-      
-      // ✅ REGISTRAR ENDPOINT PARA CADA BOT
-      app.post(config.endpoint, async (req, res) => {
-        try {
-          await botInstance.adapter.process(req, res, (context) => botInstance.bot.run(context));
-        } catch (err) {
-          console.error(`❌ Error procesando mensaje en ${config.name}:`, err);
-          res.status(500).send({ error: 'Error interno del bot' });
-        }
-      });
-
-      console.log(`✅ Bot activado: ${config.name}`);
-      console.log(`   📡 Endpoint: ${config.endpoint}`);
-      console.log(`   🆔 App ID: ${config.appId.substring(0, 8)}...`);
-      console.log(`   🏢 Tenant: ${config.tenantId?.substring(0, 8) || 'N/A'}...`);
-      
-    } else {
+    if (!botInstance) {
       console.log(`⚠️ Bot omitido: ${config.name} (no configurado)`);
+      return;
     }
-  }
 
-  console.log(`\n🤖 Total bots activos: ${activeBots.length}/${BOT_CONFIGS.length}`);
+    botInstances.set(config.id, botInstance);
+    botsByEndpoint.set(config.endpoint, botInstance);
+
+    console.log(`✅ Bot activado: ${config.name}`);
+    console.log(`   📡 Endpoint: ${config.endpoint}`);
+    console.log(`   🆔 App ID: ${config.appId.substring(0, 8)}...`);
+    console.log(`   🏢 Tenant: ${config.tenantId?.substring(0, 8) || 'N/A'}...`);
+  };
+
+  const unregisterBot = (botId) => {
+    const botInstance = botInstances.get(botId);
+    if (!botInstance) return;
+
+    botInstances.delete(botId);
+    if (botsByEndpoint.get(botInstance.config.endpoint) === botInstance) {
+      botsByEndpoint.delete(botInstance.config.endpoint);
+    }
+    botInstance.bot.cleanup?.();
+
+    console.log(`🗑️ Bot desactivado: ${botInstance.config.name} (${botInstance.config.endpoint})`);
+  };
+
+  // Sincroniza el registro con la configuración cargada (arranque y hot reload)
+  const applyBotConfigs = (configs) => {
+    const enabledConfigs = configs.filter(config => config.enabled);
+    const enabledIds = new Set(enabledConfigs.map(config => config.id));
+
+    for (const botId of Array.from(botInstances.keys())) {
+      if (!enabledIds.has(botId)) {
+        unregisterBot(botId);
+      }
+    }
+
+    for (const config of enabledConfigs) {
+      const current = botInstances.get(config.id);
+
+      if (current && JSON.stringify(current.config) === JSON.stringify(config)) {
+        continue;
+      }
+
+      if (current) {
+        console.log(`🔄 Actualizando bot: ${config.name}`);
+        unregisterBot(config.id);
+      }
+
+      registerBot(config);
+    }
+
+    console.log(`\n🤖 Total bots activos: ${botInstances.size}/${configs.length}`);
+  };
+
+  // ✅ DISPATCHER DE ENDPOINTS DE BOTS
+  app.post(/^\/api\/messages(\/[a-zA-Z0-9_-]+)*\/?$/, async (req, res, next) => {
+    const endpoint = req.path.length > 1 ? req.path.replace(/\/$/, '') : req.path;
+    const botInstance = botsByEndpoint.get(endpoint);
+
+    if (!botInstance) {
+      return next();
+    }
+
+    try {
+      await botInstance.adapter.process(req, res, (context) => botInstance.bot.run(context));
+    } catch (err) {
+      console.error(`❌ Error procesando mensaje en ${botInstance.config.name}:`, err);
+      res.status(500).send({ error: 'Error interno del bot' });
+    }
+  });
+
+  console.log('🚀 Inicializando bots...');
+
+  // Validación al arranque: un archivo inválido detiene el servidor
+  applyBotConfigs(botConfigService.load());
+
+  // Hot reload: guardar el archivo registra, actualiza o elimina bots en caliente
+  botConfigService.watch(applyBotConfigs);
   
   // ✅ ENDPOINT DE INFORMACIÓN DE BOTS
   app.get('/api/bots', (req, res) => {
-    const botsInfo = activeBots.map(botInstance => ({
+    const botsInfo = activeBots().map(botInstance => ({
       id: botInstance.config.id,
       name: botInstance.config.name,
       endpoint: botInstance.config.endpoint,
@@ -180,8 +251,8 @@ async function startServer() {
     }));
 
     res.json({
-      totalBots: activeBots.length,
-      configuredBots: BOT_CONFIGS.length,
+      totalBots: botInstances.size,
+      configuredBots: botConfigService.getBots().length,
       bots: botsInfo,
       timestamp: new Date().toISOString()
     });
@@ -206,6 +277,7 @@ async function startServer() {
       appId: botInstance.config.appId.substring(0, 8) + '...',
       tenantId: botInstance.config.tenantId?.substring(0, 8) + '...' || 'N/A',
       status: 'active',
+      model: botInstance.bot.getModelConfig?.() || null,
       stats: botInstance.bot.getStats?.() || {},
       timestamp: new Date().toISOString()
     });
@@ -213,12 +285,15 @@ async function startServer() {
   
   // ✅ Endpoint de salud mejorado
   app.get('/health', (req, res) => {
+    const cache = getCacheService().getStats();
     res.json({ 
       status: 'OK', 
       timestamp: new Date().toISOString(),
       environment: process.env.NODE_ENV || 'development',
-      activeBots: activeBots.length,
-      totalConfigurations: BOT_CONFIGS.length
+      activeBots: botInstances.size,
+      totalConfigurations: botConfigService.getBots().length,
+      botState: storageService.isAvailable() ? storageService.provider : 'memory',
+      cache: { enabled: cache.enabled, shared: cache.shared, size: cache.size, hitRate: cache.hitRate }
     });
   });
 
@@ -229,10 +304,10 @@ async function startServer() {
       version: '1.0.0',
       status: 'running',
       timestamp: new Date().toISOString(),
-      activeBots: activeBots.length,
-      totalConfigurations: BOT_CONFIGS.length,
+      activeBots: botInstances.size,
+      totalConfigurations: botConfigService.getBots().length,
       endpoints: {
-        bots: activeBots.map(bot => ({
+        bots: activeBots().map(bot => ({
           name: bot.config.name,
           endpoint: bot.config.endpoint
         })),
@@ -243,10 +318,15 @@ async function startServer() {
         webchat: [
           'GET/POST /api/webchat/init',
           'POST /api/webchat/ask',
+          'POST /api/webchat/ask/stream',
           'GET /api/webchat/history',
           'POST /api/webchat/clear',
           'GET /api/webchat/status'
         ],
+        admin: [
+          'GET /api/admin/cache',
+          'DELETE /api/admin/cache/:namespace?'
+        ],
         info: [
           'GET /api/bots',
           'GET /api/bots/:botId',
@@ -270,7 +350,7 @@ app.get('/welcome', (req, res) => {
       <body>
         <h1>🤖 Nova Multi-Bot Server</h1>
         <p>Servidor funcionando correctamente</p>
-        <p>Bots activos: ${activeBots.length}/${BOT_CONFIGS.length}</p>
+        <p>Bots activos: ${botInstances.size}/${botConfigService.getBots().length}</p>
         <p>Timestamp: ${new Date().toISOString()}</p>
         <a href="/api/bots">Ver información de bots</a>
       </body>
@@ -298,10 +378,11 @@ app.get('/welcome', (req, res) => {
 
   // ✅ Ruta 404 para debugging
   app.use('*', (req, res) => {
-    console.log(`❌ Ruta no encontrada: ${req.method} ${req.originalUrl}`);
+    const path = urlSinToken(req.originalUrl);
+    console.log(`❌ Ruta no encontrada: ${req.method} ${path}`);
     res.status(404).json({ 
       error: 'Ruta no encontrada',
-      path: req.originalUrl,
+      path,
       method: req.method 
     });
   });
@@ -316,7 +397,7 @@ app.get('/welcome', (req, res) => {
     console.log(`🌐 CORS permite cualquier origen (*)`);
     console.log(`\n📨 ENDPOINTS DE BOTS ACTIVOS:`);
     
-    activeBots.forEach(botInstance => {
+    activeBots().forEach(botInstance => {
       console.log(`   • ${botInstance.config.name}:`);
       console.log(`     POST http://localhost:${PORT}${botInstance.config.endpoint}`);
     });
@@ -328,10 +409,15 @@ app.get('/welcome', (req, res) => {
     console.log(`\n💬 ENDPOINTS DE WEBCHAT:`);
     console.log(`   • GET/POST http://localhost:${PORT}/api/webchat/init`);
     console.log(`   • POST    http://localhost:${PORT}/api/webchat/ask`);
+    console.log(`   • POST    http://localhost:${PORT}/api/webchat/ask/stream`);
     console.log(`   • GET     http://localhost:${PORT}/api/webchat/history`);
     console.log(`   • POST    http://localhost:${PORT}/api/webchat/clear`);
     console.log(`   • GET     http://localhost:${PORT}/api/webchat/status`);
     
+    console.log(`\n🛠️ ENDPOINTS DE ADMINISTRACIÓN (ADMIN_API_KEY):`);
+    console.log(`   • GET     http://localhost:${PORT}/api/admin/cache`);
+    console.log(`   • DELETE  http://localhost:${PORT}/api/admin/cache/:namespace?`);
+
     console.log(`\n🔍 ENDPOINTS DE INFORMACIÓN:`);
     console.log(`   • GET  http://localhost:${PORT}/api/bots (info de todos los bots)`);
     console.log(`   • GET  http://localhost:${PORT}/api/bots/:botId (info específica)`);
@@ -340,14 +426,16 @@ app.get('/welcome', (req, res) => {
     
     console.log(`\n🤖 CONFIGURACIÓN:`);
     console.log(`   • Tenant ID compartido: ${process.env.MicrosoftAppTenantId?.substring(0, 8) || 'N/A'}...`);
-    console.log(`   • Bots activos: ${activeBots.length}/${BOT_CONFIGS.length}`);
+    console.log(`   • Bots activos: ${botInstances.size}/${botConfigService.getBots().length}`);
+    console.log(`   • Archivo de bots: ${botConfigService.configPath}`);
     console.log(`\n===============================================`);
   });
 
   // ✅ CLEANUP AL CERRAR
   process.on('SIGINT', () => {
     console.log('\n🧹 Limpiando bots antes de cerrar...');
-    activeBots.forEach(botInstance => {
+    botConfigService.stopWatching();
+    activeBots().forEach(botInstance => {
       if (botInstance.bot.cleanup) {
         botInstance.bot.cleanup();
       }
@@ -0,0 +1,17 @@
+// routes/adminRoute.js - Rutas de administración (requieren ADMIN_API_KEY)
+import express from 'express';
+import * as adminController from '../controllers/adminController.js';
+
+const router = express.Router();
+
+router.use(adminController.requireAdminKey);
+
+// Estadísticas y purga del caché
+router.get('/cache', adminController.cacheStats);
+router.delete('/cache', adminController.cachePurge);
+router.delete('/cache/:namespace', adminController.cachePurge);
+
+// Intentos fallidos y bloqueo temporal de un usuario Nova
+router.delete('/login/bloqueos/:usuario', adminController.loginUnlock);
+
+export default router;
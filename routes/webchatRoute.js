@@ -7,21 +7,25 @@ const router = express.Router();
 
 // ============================================================
 // RUTAS PRINCIPALES - WebChat API v3.0
+// Todas salvo /status requieren el JWT del portal verificado (requireToken)
 // ============================================================
 
 // Inicializar chat (devuelve mensaje de bienvenida)
-router.get('/init', webchatController.init);
-router.post('/init', webchatController.init);
+router.get('/init', webchatController.requireToken, webchatController.init);
+router.post('/init', webchatController.requireToken, webchatController.init);
 
 // Procesar mensaje del usuario
-router.post('/ask', webchatController.ask);
+router.post('/ask', webchatController.requireToken, webchatController.ask);
+
+// Procesar mensaje con respuesta progresiva (Server-Sent Events)
+router.post('/ask/stream', webchatController.requireToken, webchatController.askStream);
 
 // Obtener historial de mensajes
-router.get('/history', webchatController.history);
+router.get('/history', webchatController.requireToken, webchatController.history);
 
 // Limpiar historial
-router.post('/clear', webchatController.clear);
-router.delete('/clear', webchatController.clear);
+router.post('/clear', webchatController.requireToken, webchatController.clear);
+router.delete('/clear', webchatController.requireToken, webchatController.clear);
 
 // Estado de los servicios
 router.get('/status', webchatController.status);
@@ -0,0 +1,202 @@
+// services/aiConfigService.js - Configuración de modelos de Azure OpenAI (chat y embeddings)
+import 'dotenv/config';
+import Ajv from 'ajv';
+
+const CANALES = ['Teams', 'WebChat'];
+
+/**
+ * Parámetros de generación que pueden sobrescribirse por canal y por bot
+ * (config/bots.json → "model"; AI_CHANNEL_OVERRIDES → {"WebChat": {...}})
+ */
+export const MODEL_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    deployment: { type: 'string', pattern: '^[a-zA-Z0-9._-]+$' },
+    apiVersion: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(-preview)?$' },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    maxTokens: { type: 'integer', minimum: 1, maximum: 32768 },
+    maxTokensFinal: { type: 'integer', minimum: 1, maximum: 32768 },
+    contextTokens: { type: 'integer', minimum: 1000, maximum: 1000000 }
+  }
+};
+
+/**
+ * Entrada "model" de un bot: parámetros propios y, opcionalmente, por canal
+ */
+export const BOT_MODEL_SCHEMA = {
+  ...MODEL_SCHEMA,
+  properties: {
+    ...MODEL_SCHEMA.properties,
+    channels: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(CANALES.map(canal => [canal, MODEL_SCHEMA]))
+    }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['chat', 'embeddings', 'channels'],
+  additionalProperties: false,
+  properties: {
+    chat: {
+      ...MODEL_SCHEMA,
+      required: ['deployment', 'apiVersion', 'temperature', 'maxTokens', 'maxTokensFinal', 'contextTokens']
+    },
+    fallback: {
+      type: 'object',
+      required: ['deployment', 'apiVersion'],
+      additionalProperties: false,
+      properties: {
+        deployment: MODEL_SCHEMA.properties.deployment,
+        apiVersion: MODEL_SCHEMA.properties.apiVersion,
+        endpoint: { type: 'string', pattern: '^https://' }
+      }
+    },
+    embeddings: {
+      type: 'object',
+      required: ['deployment', 'model', 'apiVersion'],
+      additionalProperties: false,
+      properties: {
+        deployment: MODEL_SCHEMA.properties.deployment,
+        model: { type: 'string', minLength: 1 },
+        apiVersion: MODEL_SCHEMA.properties.apiVersion
+      }
+    },
+    channels: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(CANALES.map(canal => [canal, MODEL_SCHEMA]))
+    }
+  }
+};
+
+const DEFAULT_CHAT = {
+  deployment: 'gpt-4.1-mini',
+  apiVersion: '2025-01-01-preview',
+  temperature: 1.0,
+  maxTokens: 3000,
+  maxTokensFinal: 3500,
+  // Presupuesto de entrada: system prompt + herramientas + resumen + historial + mensaje
+  contextTokens: 16000
+};
+
+const DEFAULT_EMBEDDING = 'text-embedding-3-large';
+
+/**
+ * Quita las claves sin valor para que apliquen los defaults
+ */
+function definidos(objeto) {
+  return Object.fromEntries(Object.entries(objeto).filter(([, valor]) => valor !== undefined && valor !== ''));
+}
+
+/**
+ * AIConfigService - Configuración central y validada de los modelos
+ *
+ * Precedencia de los parámetros de chat (de menor a mayor):
+ * 1. Defaults del código / variables OPENAI_* del entorno
+ * 2. AI_CHANNEL_OVERRIDES por canal
+ * 3. "model" del bot en config/bots.json
+ * 4. "model.channels.<canal>" del bot
+ *
+ * Singleton: la configuración se lee y valida una sola vez; un valor inválido lanza error.
+ */
+export default class AIConfigService {
+  constructor() {
+    if (AIConfigService.instance) {
+      return AIConfigService.instance;
+    }
+
+    // coerceTypes: las variables de entorno siempre son texto
+    const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+    this.validateSchema = ajv.compile(CONFIG_SCHEMA);
+    this.config = this.load();
+
+    AIConfigService.instance = this;
+  }
+
+  /**
+   * Construye la configuración desde el entorno y la valida
+   * @returns {Object} { chat, fallback?, embeddings, channels }
+   * @throws {Error} Si algún valor no cumple CONFIG_SCHEMA
+   */
+  load() {
+    const env = process.env;
+
+    const chat = {
+      ...DEFAULT_CHAT,
+      ...definidos({
+        deployment: env.OPENAI_DEPLOYMENT,
+        apiVersion: env.OPENAI_API_VERSION,
+        temperature: env.OPENAI_TEMPERATURE,
+        maxTokens: env.OPENAI_MAX_TOKENS,
+        maxTokensFinal: env.OPENAI_MAX_TOKENS_FINAL,
+        contextTokens: env.OPENAI_CONTEXT_TOKENS
+      })
+    };
+
+    const config = {
+      chat,
+      embeddings: {
+        deployment: env.EMBEDDING_DEPLOYMENT || DEFAULT_EMBEDDING,
+        model: env.EMBEDDING_MODEL || env.EMBEDDING_DEPLOYMENT || DEFAULT_EMBEDDING,
+        apiVersion: env.EMBEDDING_API_VERSION || chat.apiVersion
+      },
+      channels: this.leerJson('AI_CHANNEL_OVERRIDES')
+    };
+
+    if (env.OPENAI_FALLBACK_DEPLOYMENT) {
+      config.fallback = definidos({
+        deployment: env.OPENAI_FALLBACK_DEPLOYMENT,
+        apiVersion: env.OPENAI_FALLBACK_API_VERSION || chat.apiVersion,
+        endpoint: env.OPENAI_FALLBACK_ENDPOINT
+      });
+    }
+
+    if (!this.validateSchema(config)) {
+      const detalles = this.validateSchema.errors
+        .map(err => `${err.instancePath || '/'} ${err.message}`)
+        .join('; ');
+      throw new Error(`Configuración de IA inválida: ${detalles}`);
+    }
+
+    return config;
+  }
+
+  leerJson(variable) {
+    if (!process.env[variable]) return {};
+
+    try {
+      return JSON.parse(process.env[variable]);
+    } catch (error) {
+      throw new Error(`${variable} no es JSON válido: ${error.message}`);
+    }
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  getEmbeddingConfig() {
+    return this.config.embeddings;
+  }
+
+  /**
+   * Parámetros de chat efectivos para un bot y canal
+   * @param {Object} [botConfig] - Entrada resuelta de config/bots.json (null → WebChat / perfil por defecto)
+   * @param {string} [canal] - 'Teams' | 'WebChat'
+   * @returns {Object} { deployment, apiVersion, temperature, maxTokens, maxTokensFinal, contextTokens }
+   */
+  resolver(botConfig = null, canal = null) {
+    const { channels: porCanalBot, ...delBot } = botConfig?.model || {};
+
+    return {
+      ...this.config.chat,
+      ...this.config.channels[canal],
+      ...delBot,
+      ...porCanalBot?.[canal]
+    };
+  }
+}
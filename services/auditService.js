@@ -0,0 +1,71 @@
+// services/auditService.js - Bitácora de eventos de seguridad (login, bloqueos, tokens rechazados)
+import 'dotenv/config';
+import crypto from 'crypto';
+import { getStorageService } from './storageService.js';
+
+// Días que se conservan los eventos en la persistencia
+const AUDIT_TTL_DAYS = parseInt(process.env.AUDIT_TTL_DAYS, 10) || 90;
+
+let instance = null;
+
+/**
+ * AuditService - Registra eventos de seguridad
+ *
+ * - Cada evento se escribe en el log (`🛡️ AUDIT`) y como documento type 'audit'
+ *   en la partición `audit_<AAAA-MM-DD>` (UTC), con TTL AUDIT_TTL_DAYS
+ * - Nunca se registran contraseñas ni tokens: solo ids de usuario, usuario Nova y motivos
+ * - registrar() no lanza ni bloquea el flujo: un error al guardar solo se reporta en el log
+ *
+ * Eventos: login_exitoso, login_fallido, login_sso, login_sso_fallido, login_bloqueado, login_rechazado, login_desbloqueado,
+ * logout, sesion_expirada, credenciales_en_texto, webchat_token_rechazado, admin_acceso_denegado,
+ * admin_cache_purgado
+ */
+export class AuditService {
+    constructor(storage = null) {
+        this.storage = storage;
+    }
+
+    /**
+     * @param {string} evento - Nombre del evento (snake_case)
+     * @param {object} datos
+     * @param {string} [datos.canal] - 'Teams' | 'WebChat' | 'Admin'
+     * @param {string} [datos.actor] - Id de quien origina el evento (Teams user id, webchat:<CveUsuario>, IP)
+     * @param {string} [datos.usuario] - Usuario Nova involucrado
+     * @param {object} [datos.detalle] - Datos adicionales (motivo, intentos, código de error...)
+     * @returns {Promise<void>}
+     */
+    async registrar(evento, { canal = null, actor = null, usuario = null, detalle = {} } = {}) {
+        const timestamp = new Date().toISOString();
+        const registro = { evento, canal, actor, usuario, detalle, timestamp };
+
+        console.log(`🛡️ AUDIT ${JSON.stringify(registro)}`);
+
+        if (!this.storage?.isAvailable()) return;
+
+        try {
+            const partition = `audit_${timestamp.substring(0, 10)}`;
+            await this.storage.upsertDocument({
+                id: `audit_${Date.now()}_${crypto.randomUUID()}`,
+                user_id: partition,
+                type: 'audit',
+                ...registro,
+                ttl: AUDIT_TTL_DAYS * 86400
+            });
+        } catch (error) {
+            console.warn(`⚠️ No se pudo guardar el evento de auditoría ${evento}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Obtiene la bitácora compartida (singleton)
+ * @returns {AuditService}
+ */
+export function getAuditService() {
+    if (!instance) {
+        instance = new AuditService(getStorageService());
+    }
+    return instance;
+}
+
+export default getAuditService;
@@ -1,44 +1,203 @@
-// services/authService_v3.js - Servicio de Autenticación (Solo Cosmos)
+// services/authService_v3.js - Servicio de Autenticación (sobre StorageAdapter)
 
 import axios from 'axios';
 import 'dotenv/config';
+import LoginGuard from './loginGuardService.js';
+import { getAuditService } from './auditService.js';
+import { getTokenExpiry } from './novaApi.js';
+import { SESSION_TTL, SESSION_MAX_SECONDS } from './storageAdapter.js';
+
+// Con menos vigencia que esto se intenta renovar el token de Nova (segundos)
+const TOKEN_REFRESH_MARGIN = parseInt(process.env.NOVA_TOKEN_REFRESH_MARGIN_SECONDS, 10) || 300;
+
+// Vigencia mínima para atender un mensaje (una respuesta con herramientas cabe en este tiempo)
+const TOKEN_MIN_VALIDITY = parseInt(process.env.NOVA_TOKEN_MIN_VALIDITY_SECONDS, 10) || 120;
+
+/**
+ * Identidad de Azure AD del token que entrega la conexión OAuth del bot
+ * (el bot lo obtiene del servicio de tokens de Bot Framework, no lo envía el cliente)
+ * @returns {object|null} { oid, tid, upn, email, nombre }
+ */
+function leerIdentidadAad(token) {
+    try {
+        const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        if (!claims.oid) return null;
+
+        return {
+            oid: claims.oid,
+            tid: claims.tid || null,
+            upn: claims.upn || claims.preferred_username || claims.unique_name || null,
+            email: claims.email || null,
+            nombre: claims.name || null
+        };
+    } catch {
+        return null;
+    }
+}
 
 /**
  * Servicio de autenticación para el sistema Nova Bot
- * Usa SOLO Cosmos DB (sin Map en memoria)
- * TTL fijo de 60 minutos (sin renovación)
+ * Usa SOLO la persistencia configurada (Cosmos DB o JSON local, sin Map en memoria)
+ * Sesión deslizante: cada mensaje extiende la inactividad permitida (SESSION_IDLE_MINUTES)
+ * hasta la duración máxima desde el login (SESSION_MAX_HOURS)
+ * El token de Nova se renueva antes de expirar si hay NOVA_API_URL_REFRESH
+ * En Teams el login puede ser con la cuenta de Microsoft (SSO) si hay NOVA_API_URL_SSO
+ * Los intentos de login pasan por LoginGuard (esperas progresivas y bloqueo temporal)
  */
 class AuthServiceV3 {
-    constructor(cosmosService) {
-        this.cosmosService = cosmosService;
-        console.log('✅ AuthService v3 inicializado (Solo Cosmos)');
+    /**
+     * @param {import('./storageAdapter.js').default} storage - Adaptador de persistencia
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.guard = new LoginGuard(storage);
+        this.audit = getAuditService();
+        this.renovaciones = new Map(); // usuario → renovación en curso (herramientas en paralelo)
+        console.log(`✅ AuthService v3 inicializado (${storage.provider})`);
+    }
+
+    /**
+     * Login completo: límite de intentos → API Nova → sesión, con registro en la bitácora
+     * @param {string} userId - Id del usuario en el canal (Teams: "29:xxx")
+     * @param {string} username - Usuario corporativo
+     * @param {string} password - Contraseña
+     * @param {object} [opciones]
+     * @param {string} [opciones.canal] - Canal para la bitácora (default 'Teams')
+     * @returns {Promise<{success: boolean, userInfo?: object, message?: string, limitado?: boolean}>}
+     *   limitado: el intento se rechazó sin consultar a Nova (espera o bloqueo)
+     */
+    async login(userId, username, password, { canal = 'Teams' } = {}) {
+        const evento = { canal, actor: userId, usuario: username };
+
+        // Reserva el intento antes de consultar a Nova (envíos simultáneos → solo uno pasa)
+        const acceso = await this.guard.reservar(userId, username);
+        if (!acceso.permitido) {
+            await this.audit.registrar('login_rechazado', { ...evento, detalle: { motivo: acceso.motivo, esperaSegundos: acceso.esperaSegundos } });
+            return {
+                success: false,
+                limitado: true,
+                message: acceso.motivo === 'bloqueado'
+                    ? `Inicio de sesión bloqueado por intentos fallidos. Intenta de nuevo en ${Math.ceil(acceso.esperaSegundos / 60)} minuto(s).`
+                    : acceso.motivo === 'en_curso'
+                        ? 'Ya hay un inicio de sesión en curso. Espera unos segundos.'
+                        : `Demasiados intentos. Espera ${acceso.esperaSegundos} segundo(s) antes de intentar de nuevo.`
+            };
+        }
+
+        const result = await this.authenticateWithNova(username, password);
+
+        if (result.success) {
+            await this.guard.registrarExito(userId, username);
+            await this.setUserAuthenticated(userId, result.userInfo);
+            await this.audit.registrar('login_exitoso', evento);
+            return result;
+        }
+
+        // Fallas de la API Nova (red, timeout, 5xx) no cuentan como intento con credenciales erróneas
+        if (result.errorServicio) {
+            await this.guard.liberar(userId, username);
+            await this.audit.registrar('login_fallido', { ...evento, detalle: { motivo: 'servicio', mensaje: result.message } });
+            return result;
+        }
+
+        const estado = await this.guard.registrarFallo(userId, username);
+        await this.audit.registrar('login_fallido', { ...evento, detalle: { motivo: 'credenciales', fallos: estado.fallos } });
+
+        if (estado.bloqueado) {
+            await this.audit.registrar('login_bloqueado', { ...evento, detalle: { fallos: estado.fallos, bloqueoSegundos: estado.esperaSegundos } });
+            return {
+                ...result,
+                message: `${result.message}. Inicio de sesión bloqueado por ${Math.ceil(estado.esperaSegundos / 60)} minuto(s) por intentos fallidos.`
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Indica si el login con la cuenta de Microsoft está disponible (falta además la conexión OAuth del bot)
+     */
+    isSsoConfigured() {
+        return Boolean(process.env.NOVA_API_URL_SSO);
+    }
+
+    /**
+     * Login con la cuenta de Microsoft (SSO de Teams): NOVA_API_URL_SSO vincula la identidad
+     * de Azure AD con el usuario Nova y responde como el login, con el token de Nova
+     * @param {string} userId - Id del usuario en el canal
+     * @param {string} aadToken - Token de la conexión OAuth del bot
+     * @param {object} [opciones]
+     * @param {string} [opciones.canal] - Canal para la bitácora (default 'Teams')
+     * @returns {Promise<{success: boolean, userInfo?: object, message?: string, errorServicio?: boolean}>}
+     *   success false sin errorServicio: la cuenta de Microsoft no está vinculada a un usuario Nova
+     */
+    async loginWithSso(userId, aadToken, { canal = 'Teams' } = {}) {
+        const identidad = leerIdentidadAad(aadToken || '');
+        if (!this.isSsoConfigured() || !identidad) {
+            return { success: false, errorServicio: true, message: 'Inicio de sesión con Microsoft no disponible' };
+        }
+
+        console.log(`🔐 Autenticando con Microsoft: ${identidad.upn || identidad.oid}`);
+
+        // Nova valida el token de Azure AD; la identidad en el cuerpo es la que se vincula
+        let result = await this.requestNovaLogin(
+            process.env.NOVA_API_URL_SSO,
+            identidad,
+            { 'Authorization': `Bearer ${aadToken}` },
+            null
+        );
+
+        if (result.success && !result.userInfo.usuario) {
+            result = { success: false, errorServicio: true, message: 'Respuesta sin CveUsuario' };
+        }
+
+        const evento = { canal, actor: userId, detalle: { upn: identidad.upn, tid: identidad.tid } };
+
+        if (!result.success) {
+            await this.audit.registrar('login_sso_fallido', {
+                ...evento,
+                detalle: { ...evento.detalle, motivo: result.errorServicio ? 'servicio' : 'sin_vinculo', mensaje: result.message }
+            });
+            return result;
+        }
+
+        await this.setUserAuthenticated(userId, result.userInfo);
+        await this.audit.registrar('login_sso', { ...evento, usuario: result.userInfo.usuario });
+        return result;
     }
 
     /**
      * Autentica usuario con la API Nova
      * @param {string} username - Usuario corporativo
      * @param {string} password - Contraseña
-     * @returns {Promise<{success: boolean, userInfo?: object, message?: string}>}
+     * @returns {Promise<{success: boolean, userInfo?: object, message?: string, errorServicio?: boolean}>}
+     *   errorServicio: la falla fue de la API Nova (red, timeout, 5xx), no de las credenciales
      */
     async authenticateWithNova(username, password) {
+        console.log(`🔐 Autenticando: ${username}`);
+        const url = process.env.NOVA_API_URL || 'https://pruebas.nova.com.mx/ApiRestNova/api/Auth/login';
+
+        return await this.requestNovaLogin(url, { cveUsuario: username, password }, {}, username);
+    }
+
+    /**
+     * POST a un endpoint de Nova que responde como el login ({ info: [{ EsValido, Token, ... }] })
+     * @param {string} url - Endpoint
+     * @param {object} body - Cuerpo de la petición
+     * @param {object} headers - Headers adicionales
+     * @param {string} username - Usuario por defecto si la respuesta no trae CveUsuario
+     * @returns {Promise<{success: boolean, userInfo?: object, message?: string, errorServicio?: boolean}>}
+     */
+    async requestNovaLogin(url, body, headers, username) {
         try {
-            console.log(`🔐 Autenticando: ${username}`);
-            const url = process.env.NOVA_API_URL || 'https://pruebas.nova.com.mx/ApiRestNova/api/Auth/login';
-
-            const response = await axios.post(
-                url,
-                {
-                    cveUsuario: username,
-                    password: password
+            const response = await axios.post(url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    ...headers
                 },
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    timeout: 15000
-                }
-            );
+                timeout: 15000
+            });
 
             let parsedData = response.data;
 
@@ -49,6 +208,7 @@ class AuthServiceV3 {
                 } catch (parseError) {
                     return {
                         success: false,
+                        errorServicio: true,
                         message: 'Error procesando respuesta del servidor'
                     };
                 }
@@ -82,6 +242,7 @@ class AuthServiceV3 {
             } else {
                 return {
                     success: false,
+                    errorServicio: true,
                     message: 'Respuesta inesperada del servidor'
                 };
             }
@@ -92,27 +253,156 @@ class AuthServiceV3 {
             if (error.response) {
                 return {
                     success: false,
+                    // 4xx: Nova rechazó la solicitud (cuenta como intento fallido)
+                    errorServicio: error.response.status >= 500,
                     message: `Error del servidor: ${error.response.status}`
                 };
             } else if (error.code === 'ECONNREFUSED') {
                 return {
                     success: false,
+                    errorServicio: true,
                     message: 'No se pudo conectar con el servidor'
                 };
             } else if (error.code === 'ECONNABORTED') {
                 return {
                     success: false,
+                    errorServicio: true,
                     message: 'Timeout - servidor lento'
                 };
             } else {
                 return {
                     success: false,
+                    errorServicio: true,
                     message: 'Error de conexión'
                 };
             }
         }
     }
 
+    /**
+     * Renueva el token de Nova (NOVA_API_URL_REFRESH, autenticado con el token actual)
+     * @param {string} token - Token vigente
+     * @param {string} usuario - ID del usuario (solo para el log)
+     * @returns {Promise<string|null>} Token nuevo o null si no hay endpoint o Nova lo rechazó
+     */
+    async refreshNovaToken(token, usuario) {
+        const url = process.env.NOVA_API_URL_REFRESH;
+        if (!url) return null;
+
+        try {
+            const response = await axios.post(url, {}, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                timeout: 15000
+            });
+
+            let parsedData = response.data;
+            if (typeof parsedData === 'string') {
+                try {
+                    parsedData = JSON.parse(parsedData);
+                } catch {
+                    parsedData = null;
+                }
+            }
+
+            // Misma forma que el login ({ info: [{ Token }] }) o el token directo
+            const nuevo = parsedData?.info?.[0]?.Token || parsedData?.Token || parsedData?.token;
+            if (typeof nuevo !== 'string' || nuevo.trim().length === 0) {
+                console.warn(`⚠️ [${usuario}] Renovación de token sin token en la respuesta`);
+                return null;
+            }
+
+            console.log(`🔄 [${usuario}] Token de Nova renovado`);
+            return nuevo.trim();
+        } catch (error) {
+            console.warn(`⚠️ [${usuario}] No se pudo renovar el token de Nova: ${error.response?.status || error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Renueva el token de la sesión cuando Nova lo rechazó (401) a media respuesta,
+     * aunque el token no declare exp o se haya revocado antes de tiempo
+     * @param {string} usuario - ID del usuario
+     * @param {string} tokenRechazado - Token que recibió el 401
+     * @returns {Promise<string|null>} Token vigente o null si no se pudo renovar
+     */
+    async refreshSessionToken(usuario, tokenRechazado) {
+        if (!this.renovaciones.has(usuario)) {
+            const renovacion = (async () => {
+                const session = await this.storage.getUserSession(usuario);
+                if (!session) return null;
+
+                // Otra herramienta ya lo renovó
+                if (session.token !== tokenRechazado) return session.token;
+
+                const token = await this.refreshNovaToken(session.token, usuario);
+                if (!token) return null;
+
+                const actualizada = await this.storage.touchUserSession(usuario, { token });
+                return actualizada ? token : null;
+            })().finally(() => this.renovaciones.delete(usuario));
+
+            this.renovaciones.set(usuario, renovacion);
+        }
+
+        try {
+            return await this.renovaciones.get(usuario);
+        } catch (error) {
+            console.error(`❌ Error renovando token:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Sesión con la que se atiende un mensaje: extiende la inactividad y renueva
+     * el token de Nova si está por expirar, antes de que una herramienta falle con 401
+     * @param {string} usuario - ID del usuario
+     * @returns {Promise<{userInfo: object|null, motivo: string|null}>}
+     *   motivo: 'sin_sesion' | 'expirada' (duración máxima o token de Nova vencido sin renovación)
+     *   | 'error' (falla de la persistencia: la sesión puede seguir vigente, reintentar)
+     */
+    async getActiveSession(usuario) {
+        try {
+            const session = await this.storage.getUserSession(usuario);
+            if (!session) return { userInfo: null, motivo: 'sin_sesion' };
+
+            const expiraEn = getTokenExpiry(session.token);
+            const restante = expiraEn === null ? Infinity : (expiraEn - Date.now()) / 1000;
+
+            let cambios = {};
+            if (restante <= TOKEN_REFRESH_MARGIN) {
+                const token = await this.refreshNovaToken(session.token, usuario);
+
+                if (token) {
+                    cambios = { token };
+                } else if (restante <= TOKEN_MIN_VALIDITY) {
+                    return await this.expireSession(usuario, 'token_nova');
+                }
+            }
+
+            const userInfo = await this.storage.touchUserSession(usuario, cambios);
+            if (!userInfo) {
+                return await this.expireSession(usuario, 'duracion_maxima');
+            }
+
+            return { userInfo, motivo: null };
+        } catch (error) {
+            console.error(`❌ Error obteniendo sesión vigente:`, error);
+            return { userInfo: null, motivo: 'error' };
+        }
+    }
+
+    async expireSession(usuario, motivo) {
+        await this.storage.deleteUserSession(usuario);
+        console.log(`⌛ [${usuario}] Sesión expirada (${motivo})`);
+        await this.audit.registrar('sesion_expirada', { actor: usuario, detalle: { motivo } });
+        return { userInfo: null, motivo: 'expirada' };
+    }
+
     /**
      * Verifica si un usuario está autenticado
      * @param {string} usuario - ID del usuario (ej: "91004")
@@ -120,7 +410,7 @@ class AuthServiceV3 {
      */
     async isUserAuthenticated(usuario) {
         try {
-            const session = await this.cosmosService.getUserSession(usuario);
+            const session = await this.storage.getUserSession(usuario);
             return session !== null;
         } catch (error) {
             console.error(`❌ Error verificando auth:`, error);
@@ -129,21 +419,21 @@ class AuthServiceV3 {
     }
 
     /**
-     * Establece un usuario como autenticado (crea sesión en Cosmos)
+     * Establece un usuario como autenticado (crea sesión en la persistencia)
      * @param {string} usuario - ID del usuario
      * @param {object} userInfo - Información del usuario de API Nova
      * @returns {Promise<boolean>}
      */
     async setUserAuthenticated(usuario, userInfo) {
         try {
-            const session = await this.cosmosService.createUserSession(usuario, userInfo);
+            const session = await this.storage.createUserSession(usuario, userInfo);
 
             if (session) {
-                console.log(`✅ [${usuario}] Sesión creada en Cosmos (TTL: 60min)`);
+                console.log(`✅ [${usuario}] Sesión creada en ${this.storage.provider}`);
                 return true;
             }
 
-            console.warn(`⚠️ [${usuario}] No se pudo crear sesión (Cosmos no disponible)`);
+            console.warn(`⚠️ [${usuario}] No se pudo crear sesión (${this.storage.provider} no disponible)`);
             return false;
         } catch (error) {
             console.error(`❌ Error estableciendo auth:`, error);
@@ -158,10 +448,11 @@ class AuthServiceV3 {
      */
     async clearUserAuthentication(usuario) {
         try {
-            const deleted = await this.cosmosService.deleteUserSession(usuario);
+            const deleted = await this.storage.deleteUserSession(usuario);
 
             if (deleted) {
-                console.log(`🧹 [${usuario}] Sesión eliminada de Cosmos`);
+                console.log(`🧹 [${usuario}] Sesión eliminada de ${this.storage.provider}`);
+                await this.audit.registrar('logout', { actor: usuario });
                 return true;
             }
 
@@ -179,7 +470,7 @@ class AuthServiceV3 {
      */
     async getUserInfo(usuario) {
         try {
-            const session = await this.cosmosService.getUserSession(usuario);
+            const session = await this.storage.getUserSession(usuario);
             return session;
         } catch (error) {
             console.error(`❌ Error obteniendo info usuario:`, error);
@@ -194,7 +485,7 @@ class AuthServiceV3 {
      */
     async getUserToken(usuario) {
         try {
-            const session = await this.cosmosService.getUserSession(usuario);
+            const session = await this.storage.getUserSession(usuario);
             return session?.token || null;
         } catch (error) {
             console.error(`❌ Error obteniendo token:`, error);
@@ -216,15 +507,17 @@ class AuthServiceV3 {
      * @returns {Promise<object>} - Estadísticas
      */
     async getStats() {
-        const cosmosStats = this.cosmosService.getStats();
+        const storageStats = this.storage.getStats();
 
         return {
-            authVersion: '3.0.0-CosmosOnly',
-            storage: 'Cosmos DB (sin memoria)',
-            sessionTTL: '60 minutos fijos',
-            autoRenewal: false,
-            cosmosAvailable: cosmosStats.available,
-            ...cosmosStats
+            authVersion: '3.1.0-StorageAdapter',
+            storage: `${this.storage.provider} (sin memoria)`,
+            sessionTTL: `${SESSION_TTL / 60} minutos de inactividad (máximo ${SESSION_MAX_SECONDS / 3600}h desde el login)`,
+            autoRenewal: true,
+            tokenRefresh: Boolean(process.env.NOVA_API_URL_REFRESH),
+            sso: this.isSsoConfigured(),
+            storageAvailable: storageStats.available,
+            ...storageStats
         };
     }
 }
@@ -0,0 +1,216 @@
+// services/botConfigService.js - Configuración declarativa de bots (config/bots.json)
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { BOT_MODEL_SCHEMA } from './aiConfigService.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'bots.json');
+
+/**
+ * Schema del archivo de bots
+ * - endpoint: siempre bajo /api/messages (el dispatcher de index.js solo atiende esa ruta)
+ * - credentials: NOMBRES de variables de entorno, nunca secretos en el archivo
+ *   (ssoConnectionEnv: conexión OAuth del Azure Bot para el SSO de Teams)
+ * - model: deployment y parámetros de generación propios del bot (ver AIConfigService)
+ */
+const BOTS_SCHEMA = {
+  type: 'object',
+  required: ['bots'],
+  additionalProperties: false,
+  properties: {
+    bots: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'endpoint', 'credentials'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+          name: { type: 'string', minLength: 1 },
+          endpoint: { type: 'string', pattern: '^/api/messages(/[a-zA-Z0-9_-]+)*$' },
+          enabled: { type: 'boolean', default: true },
+          credentials: {
+            type: 'object',
+            required: ['appIdEnv', 'appPasswordEnv'],
+            additionalProperties: false,
+            properties: {
+              appIdEnv: { type: 'string', minLength: 1 },
+              appPasswordEnv: { type: 'string', minLength: 1 },
+              appTypeEnv: { type: 'string', minLength: 1 },
+              tenantIdEnv: { type: 'string', minLength: 1 },
+              ssoConnectionEnv: { type: 'string', minLength: 1 }
+            }
+          },
+          persona: {
+            type: 'object',
+            default: {},
+            additionalProperties: false,
+            properties: {
+              botName: { type: 'string', minLength: 1 },
+              greeting: { type: 'string', minLength: 1 },
+              systemPrompt: { type: 'string', minLength: 1 },
+              promptVersions: {
+                type: 'object',
+                additionalProperties: { type: 'string', pattern: '^v[0-9]+[a-z0-9_-]*$' }
+              }
+            }
+          },
+          tools: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            minItems: 1,
+            uniqueItems: true,
+            default: ['*']
+          },
+          model: BOT_MODEL_SCHEMA
+        }
+      }
+    }
+  }
+};
+
+/**
+ * BotConfigService - Carga, valida y vigila el archivo declarativo de bots
+ *
+ * Responsabilidades:
+ * 1. Leer config/bots.json (o BOTS_CONFIG_PATH) y validarlo contra BOTS_SCHEMA
+ * 2. Resolver credenciales desde las variables de entorno indicadas
+ * 3. Notificar cambios del archivo (hot reload) sin reiniciar el proceso
+ *
+ * Singleton: todas las instancias comparten la misma configuración cargada.
+ */
+export default class BotConfigService {
+  constructor() {
+    if (BotConfigService.instance) {
+      return BotConfigService.instance;
+    }
+
+    this.configPath = process.env.BOTS_CONFIG_PATH
+      ? path.resolve(ROOT_DIR, process.env.BOTS_CONFIG_PATH)
+      : DEFAULT_CONFIG_PATH;
+    this.bots = [];
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    const ajv = new Ajv({ allErrors: true, useDefaults: true });
+    this.validateSchema = ajv.compile(BOTS_SCHEMA);
+
+    BotConfigService.instance = this;
+  }
+
+  /**
+   * Lee y valida el archivo de bots
+   * @returns {Array} Configuraciones resueltas
+   * @throws {Error} Si el archivo no existe, no es JSON válido o no cumple el schema
+   */
+  load() {
+    const raw = fs.readFileSync(this.configPath, 'utf8');
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${this.configPath} no es JSON válido: ${error.message}`);
+    }
+
+    if (!this.validateSchema(data)) {
+      const detalles = this.validateSchema.errors
+        .map(err => `${err.instancePath || '/'} ${err.message}`)
+        .join('; ');
+      throw new Error(`${this.configPath} inválido: ${detalles}`);
+    }
+
+    this.assertUnique(data.bots, 'id');
+    this.assertUnique(data.bots, 'endpoint');
+
+    this.bots = data.bots.map(entry => this.resolveBot(entry));
+    return this.bots;
+  }
+
+  /**
+   * Convierte una entrada del archivo en la configuración que consume index.js
+   * @param {Object} entry - Entrada validada del archivo
+   * @returns {Object} { id, name, endpoint, enabled, appId, appPassword, appType, tenantId, ssoConnectionName, persona, tools, model }
+   */
+  resolveBot(entry) {
+    const { credentials } = entry;
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      endpoint: entry.endpoint,
+      enabled: entry.enabled,
+      appId: process.env[credentials.appIdEnv],
+      appPassword: process.env[credentials.appPasswordEnv],
+      appType: (credentials.appTypeEnv && process.env[credentials.appTypeEnv]) || 'SingleTenant',
+      tenantId: credentials.tenantIdEnv ? process.env[credentials.tenantIdEnv] : undefined,
+      ssoConnectionName: (credentials.ssoConnectionEnv && process.env[credentials.ssoConnectionEnv]) || null,
+      persona: entry.persona,
+      tools: entry.tools,
+      model: entry.model || null
+    };
+  }
+
+  assertUnique(bots, field) {
+    const vistos = new Set();
+    for (const bot of bots) {
+      if (vistos.has(bot[field])) {
+        throw new Error(`${this.configPath} inválido: ${field} duplicado "${bot[field]}"`);
+      }
+      vistos.add(bot[field]);
+    }
+  }
+
+  getBots() {
+    return this.bots;
+  }
+
+  getBot(botId) {
+    return this.bots.find(bot => bot.id === botId) || null;
+  }
+
+  // ========================================
+  // HOT RELOAD
+  // ========================================
+
+  /**
+   * Vigila el archivo y recarga al guardarse. Si la nueva versión es inválida
+   * se conserva la configuración anterior.
+   * @param {Function} onChange - Callback (bots) => void con la configuración nueva
+   */
+  watch(onChange) {
+    if (this.watcher) return;
+
+    // Se vigila el directorio: muchos editores reemplazan el archivo al guardar
+    const dir = path.dirname(this.configPath);
+    const fileName = path.basename(this.configPath);
+
+    this.watcher = fs.watch(dir, (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) return;
+
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => {
+        try {
+          const bots = this.load();
+          console.log(`🔄 ${fileName} recargado: ${bots.length} bot(s)`);
+          onChange(bots);
+        } catch (error) {
+          console.error(`❌ Recarga de ${fileName} rechazada, se mantiene la configuración anterior:`, error.message);
+        }
+      }, 300);
+    });
+
+    console.log(`👀 Vigilando cambios en ${this.configPath}`);
+  }
+
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
@@ -0,0 +1,128 @@
+// services/botStateStorage.js - Storage de botbuilder sobre el adaptador de persistencia
+// Permite que ConversationState/UserState (y el estado de diálogos) sobrevivan reinicios y scale-out
+
+import 'dotenv/config';
+import { StorageConflictError } from './storageAdapter.js';
+
+/** TTL por defecto del estado del bot: 7 días (BOT_STATE_TTL=0 → sin expiración) */
+const DEFAULT_STATE_TTL = 604800;
+
+/**
+ * BotStateStorage - Implementa la interfaz Storage de botbuilder (read/write/delete)
+ *
+ * Cada clave de estado (p. ej. "msteams/conversations/<id>" o "msteams/users/<id>")
+ * se guarda como un documento del contenedor /user_id:
+ * - id y user_id: `botstate_${namespace}_${encodeURIComponent(key)}` (Cosmos no admite "/" en ids)
+ * - type: 'botstate', state: objeto de estado sin eTag
+ *
+ * Una instancia por bot (namespace = id del bot): la clave de botbuilder no incluye al bot
+ * y la conversación de un chat grupal es la misma para todos los bots que están en él.
+ *
+ * Un error de lectura se propaga (StorageReadError): el turno falla en lugar de continuar con el estado vacío.
+ * Concurrencia: el eTag del StoreItem se mapea al `_etag` del documento.
+ * eTag '*' o ausente → escritura incondicional; otro valor → IfMatch.
+ * Un eTag sobre una clave que no existe solo la crea (como MemoryStorage): así funciona la
+ * deduplicación de TeamsSSOTokenExchangeMiddleware, que escribe con el id del intercambio como eTag.
+ */
+export default class BotStateStorage {
+    /**
+     * @param {import('./storageAdapter.js').default} storage - Adaptador de persistencia
+     * @param {string} namespace - Id del bot dueño del estado
+     */
+    constructor(storage, namespace) {
+        if (!namespace) {
+            throw new Error('BotStateStorage: namespace requerido (id del bot)');
+        }
+        this.storage = storage;
+        this.namespace = namespace;
+
+        const ttl = parseInt(process.env.BOT_STATE_TTL ?? DEFAULT_STATE_TTL, 10);
+        this.ttl = Number.isFinite(ttl) && ttl > 0 ? ttl : -1;
+
+        console.log(`💾 Estado del bot ${namespace} persistente (${storage.provider}, TTL: ${this.ttl > 0 ? `${this.ttl}s` : 'sin expiración'})`);
+    }
+
+    documentId(key) {
+        return `botstate_${encodeURIComponent(this.namespace)}_${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * @param {string[]} keys
+     * @returns {Promise<object>} StoreItems
+     */
+    async read(keys) {
+        if (!keys) throw new Error('BotStateStorage.read(): keys requeridas');
+
+        const items = {};
+        const docs = await Promise.all(
+            keys.map(key => this.storage.getDocument(this.documentId(key), this.documentId(key)))
+        );
+
+        docs.forEach((doc, i) => {
+            if (doc?.type === 'botstate') {
+                items[keys[i]] = { ...doc.state, eTag: doc._etag };
+            }
+        });
+
+        return items;
+    }
+
+    async upsertState(doc, ifMatch) {
+        try {
+            return await this.storage.upsertDocument(doc, { ifMatch });
+        } catch (error) {
+            // eTag sobre una clave que no existe: solo se crea (falla si otro la creó primero)
+            if (!(error instanceof StorageConflictError) || await this.storage.getDocument(doc.user_id, doc.id)) {
+                throw error;
+            }
+            return await this.storage.upsertDocument(doc, { createOnly: true });
+        }
+    }
+
+    /**
+     * @param {object} changes - StoreItems a guardar
+     */
+    async write(changes) {
+        if (!changes) throw new Error('BotStateStorage.write(): changes requeridos');
+
+        await Promise.all(Object.entries(changes).map(async ([key, item]) => {
+            const { eTag, ...state } = item;
+            const ifMatch = eTag && eTag !== '*' ? eTag : undefined;
+
+            const id = this.documentId(key);
+            const doc = {
+                id,
+                user_id: id,
+                type: 'botstate',
+                state,
+                updatedAt: new Date().toISOString(),
+                ttl: this.ttl
+            };
+
+            let saved;
+            try {
+                saved = await this.upsertState(doc, ifMatch);
+            } catch (error) {
+                if (error instanceof StorageConflictError) {
+                    throw new Error(`Storage: error writing "${key}" due to eTag conflict.`);
+                }
+                throw error;
+            }
+
+            if (!saved) {
+                throw new Error(`BotStateStorage: no se pudo guardar "${key}"`);
+            }
+        }));
+    }
+
+    /**
+     * @param {string[]} keys
+     */
+    async delete(keys) {
+        if (!keys) throw new Error('BotStateStorage.delete(): keys requeridas');
+
+        await Promise.all(
+            keys.map(key => this.storage.deleteDocument(this.documentId(key), this.documentId(key)))
+        );
+    }
+}
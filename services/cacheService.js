@@ -0,0 +1,288 @@
+// services/cacheService.js - Caché LRU en memoria con respaldo compartido opcional
+// Reduce llamadas repetidas a la API Nova y a Azure OpenAI (embeddings)
+import 'dotenv/config';
+import crypto from 'crypto';
+import { getStorageService } from './storageService.js';
+
+/**
+ * TTL (segundos) y alcance por espacio de nombres
+ * scope 'user': la clave incluye al usuario (datos personales); sin usuario no se cachea
+ * CACHE_TTLS (JSON) sobrescribe el TTL: {"embeddings": 3600, "tool:consultar_procedimientos": 0}
+ */
+const DEFAULT_CONFIG = {
+    tasas: { ttl: 21600, scope: 'global' },
+    embeddings: { ttl: 86400, scope: 'global' },
+    perfil_servicio: { ttl: 3600, scope: 'user' }
+};
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000;
+
+// Frecuencia con la que se consultan las marcas de purga del respaldo compartido
+const PURGE_CHECK_MS = parseInt(process.env.CACHE_PURGE_CHECK_MS, 10) || 30000;
+
+const PURGE_PARTITION = 'cache_purge';
+const TODOS = '*';
+
+let instance = null;
+
+function leerTtls() {
+    if (!process.env.CACHE_TTLS) return {};
+
+    try {
+        return JSON.parse(process.env.CACHE_TTLS);
+    } catch (error) {
+        console.warn(`⚠️ CACHE_TTLS inválido, se ignora: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * CacheService - LRU con TTL (L1) y documentos del adaptador de persistencia (L2, opcional)
+ *
+ * - L1: Map en memoria, máximo CACHE_MAX_ENTRIES entradas (se descarta la menos usada)
+ * - L2 (CACHE_SHARED=true): documentos type 'cache' en la partición `cache_<namespace>`,
+ *   compartidos entre instancias y con expiración por ttl del documento
+ * - Purga: borra L1 y, con L2, escribe una marca por namespace; las entradas creadas antes
+ *   de la marca se ignoran en todas las instancias (en a lo más CACHE_PURGE_CHECK_MS)
+ * - Las claves se guardan como hash: nunca quedan textos ni tokens en claro
+ */
+export class CacheService {
+    constructor(storage = null) {
+        this.enabled = process.env.CACHE_ENABLED !== 'false';
+        this.storage = process.env.CACHE_SHARED === 'true' && storage?.isAvailable() ? storage : null;
+        this.ttls = leerTtls();
+
+        this.entries = new Map();       // hash → { namespace, value, expiresAt, createdAt }
+        this.pending = new Map();       // hash → Promise (evita cargas duplicadas simultáneas)
+        this.purgeMarks = new Map();    // namespace → { purgedAt, checkedAt }
+        this.stats = { hits: 0, sharedHits: 0, misses: 0, sets: 0, evictions: 0, purges: 0 };
+
+        console.log(`🗃️ Caché: ${this.enabled ? `activa (máx. ${MAX_ENTRIES} entradas${this.storage ? `, compartida en ${this.storage.provider}` : ''})` : 'desactivada'}`);
+    }
+
+    /**
+     * Configuración efectiva de un namespace
+     * Los namespaces de herramientas ("tool:<nombre>") reciben la configuración declarada en el módulo.
+     * @param {string} namespace
+     * @param {Object} [declarada] - { ttl, scope }
+     * @returns {Object} { ttl, scope }
+     */
+    config(namespace, declarada = null) {
+        const base = { ttl: 0, scope: 'global', ...DEFAULT_CONFIG[namespace], ...declarada };
+        if (this.ttls[namespace] !== undefined) base.ttl = Number(this.ttls[namespace]) || 0;
+        return base;
+    }
+
+    /**
+     * Devuelve el valor cacheado o lo carga con `loader` y lo guarda
+     * @param {string} namespace - p. ej. 'tasas', 'embeddings', 'tool:consultar_procedimientos'
+     * @param {string|Object} key - Se serializa y se convierte en hash
+     * @param {Function} loader - async () => valor
+     * @param {Object} [options]
+     * @param {string} [options.userId] - Obligatorio para namespaces con scope 'user'
+     * @param {Object} [options.config] - { ttl, scope } declarados por la herramienta
+     * @param {Function} [options.cacheIf] - (valor) => boolean; default: no cachea null/undefined
+     * @returns {Promise<*>}
+     */
+    async getOrSet(namespace, key, loader, { userId = null, config = null, cacheIf = valor => valor !== null && valor !== undefined } = {}) {
+        const { ttl, scope } = this.config(namespace, config);
+
+        if (!this.enabled || ttl <= 0 || (scope === 'user' && !userId)) {
+            return await loader();
+        }
+
+        const hash = this.hash(namespace, scope === 'user' ? [userId, key] : key);
+
+        const cached = await this.get(namespace, hash);
+        if (cached !== undefined) return cached;
+
+        // Otra petición ya está cargando la misma clave
+        if (this.pending.has(hash)) return await this.pending.get(hash);
+
+        this.stats.misses++;
+        const carga = (async () => {
+            const valor = await loader();
+            if (cacheIf(valor)) await this.set(namespace, hash, valor, ttl);
+            return valor;
+        })();
+
+        this.pending.set(hash, carga);
+        try {
+            return await carga;
+        } finally {
+            this.pending.delete(hash);
+        }
+    }
+
+    /**
+     * Purga un namespace (o todo el caché si no se indica)
+     * @param {string} [namespace]
+     * @returns {Promise<number>} Entradas eliminadas de la memoria local
+     */
+    async purge(namespace = null) {
+        let eliminadas = 0;
+        for (const [hash, entry] of this.entries) {
+            if (!namespace || entry.namespace === namespace) {
+                this.entries.delete(hash);
+                eliminadas++;
+            }
+        }
+
+        const marca = namespace || TODOS;
+        const purgedAt = Date.now();
+        this.purgeMarks.set(marca, { purgedAt, checkedAt: purgedAt });
+
+        if (this.storage) {
+            await this.storage.upsertDocument({
+                id: `cache_purge_${encodeURIComponent(marca)}`,
+                user_id: PURGE_PARTITION,
+                type: 'cache_purge',
+                namespace: marca,
+                purgedAt,
+                ttl: -1
+            });
+        }
+
+        this.stats.purges++;
+        console.log(`🧹 Caché purgada: ${namespace || 'todo'} (${eliminadas} entradas locales)`);
+        return eliminadas;
+    }
+
+    /**
+     * @returns {Object} Estadísticas para /health y el endpoint de administración
+     */
+    getStats() {
+        const porNamespace = {};
+        for (const entry of this.entries.values()) {
+            porNamespace[entry.namespace] = (porNamespace[entry.namespace] || 0) + 1;
+        }
+
+        const consultas = this.stats.hits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            shared: this.storage ? this.storage.provider : false,
+            size: this.entries.size,
+            maxEntries: MAX_ENTRIES,
+            ...this.stats,
+            hitRate: consultas > 0 ? Math.round(this.stats.hits / consultas * 1000) / 10 : 0,
+            namespaces: porNamespace
+        };
+    }
+
+    // ==========================================
+    // INTERNOS
+    // ==========================================
+
+    hash(namespace, key) {
+        return crypto.createHash('sha256')
+            .update(`${namespace}\u0000${typeof key === 'string' ? key : JSON.stringify(key)}`)
+            .digest('hex');
+    }
+
+    async get(namespace, hash) {
+        const purgedAt = await this.purgedAt(namespace);
+
+        const entry = this.entries.get(hash);
+        if (entry) {
+            if (entry.expiresAt > Date.now() && entry.createdAt > purgedAt) {
+                // LRU: reinsertar al final
+                this.entries.delete(hash);
+                this.entries.set(hash, entry);
+                this.stats.hits++;
+                return entry.value;
+            }
+            this.entries.delete(hash);
+        }
+
+        if (!this.storage) return undefined;
+
+        try {
+            const doc = await this.storage.getDocument(`cache_${namespace}`, `cache_${hash}`);
+            if (doc?.type === 'cache' && doc.expiresAt > Date.now() && doc.createdAt > purgedAt) {
+                this.remember(hash, { namespace, value: doc.value, expiresAt: doc.expiresAt, createdAt: doc.createdAt });
+                this.stats.hits++;
+                this.stats.sharedHits++;
+                return doc.value;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Caché compartida no disponible (${namespace}): ${error.message}`);
+        }
+
+        return undefined;
+    }
+
+    async set(namespace, hash, value, ttl) {
+        const createdAt = Date.now();
+        const expiresAt = createdAt + ttl * 1000;
+
+        this.remember(hash, { namespace, value, expiresAt, createdAt });
+        this.stats.sets++;
+
+        if (!this.storage) return;
+
+        try {
+            await this.storage.upsertDocument({
+                id: `cache_${hash}`,
+                user_id: `cache_${namespace}`,
+                type: 'cache',
+                namespace,
+                value,
+                createdAt,
+                expiresAt,
+                ttl
+            });
+        } catch (error) {
+            console.warn(`⚠️ No se pudo guardar en la caché compartida (${namespace}): ${error.message}`);
+        }
+    }
+
+    remember(hash, entry) {
+        this.entries.delete(hash);
+        this.entries.set(hash, entry);
+
+        while (this.entries.size > MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Marca de purga vigente para un namespace (la más reciente entre la suya y la global)
+     * @returns {Promise<number>} Timestamp en ms (0 = nunca purgado)
+     */
+    async purgedAt(namespace) {
+        const marcas = await Promise.all([this.leerMarca(namespace), this.leerMarca(TODOS)]);
+        return Math.max(...marcas);
+    }
+
+    async leerMarca(marca) {
+        const local = this.purgeMarks.get(marca);
+        if (!this.storage || (local && Date.now() - local.checkedAt < PURGE_CHECK_MS)) {
+            return local?.purgedAt || 0;
+        }
+
+        let purgedAt = local?.purgedAt || 0;
+        try {
+            const doc = await this.storage.getDocument(PURGE_PARTITION, `cache_purge_${encodeURIComponent(marca)}`);
+            purgedAt = Math.max(purgedAt, doc?.purgedAt || 0);
+        } catch (error) {
+            console.warn(`⚠️ No se pudo leer la marca de purga (${marca}): ${error.message}`);
+        }
+
+        this.purgeMarks.set(marca, { purgedAt, checkedAt: Date.now() });
+        return purgedAt;
+    }
+}
+
+/**
+ * Obtiene el caché compartido (singleton)
+ * @returns {CacheService}
+ */
+export function getCacheService() {
+    if (!instance) {
+        instance = new CacheService(getStorageService());
+    }
+    return instance;
+}
+
+export default getCacheService;
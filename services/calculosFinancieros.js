@@ -0,0 +1,174 @@
+// services/calculosFinancieros.js - Cálculos financieros deterministas para las herramientas
+// Los montos que ve el usuario se calculan aquí, nunca en el modelo
+import { DateTime } from 'luxon';
+
+const ZONA = 'America/Mexico_City';
+
+/** Pagos por año según la frecuencia de pago de Nova */
+const PERIODOS_POR_ANIO = {
+  semanal: 52,
+  catorcenal: 26,
+  quincenal: 24,
+  mensual: 12
+};
+
+/**
+ * Redondea a centavos
+ * @param {number} valor
+ * @returns {number}
+ */
+export function redondear(valor) {
+  return Math.round((valor + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Normaliza la frecuencia de pago ("Quincenal", "QUINCENA", "mensual"...) → clave de PERIODOS_POR_ANIO
+ * @param {string} frecuencia
+ * @returns {string} Default 'mensual'
+ */
+export function normalizarFrecuencia(frecuencia) {
+  const texto = String(frecuencia || '').toLowerCase();
+  return Object.keys(PERIODOS_POR_ANIO).find(clave => texto.startsWith(clave.slice(0, 5))) || 'mensual';
+}
+
+/**
+ * @param {string} frecuencia
+ * @returns {number} Periodos por año
+ */
+export function periodosPorAnio(frecuencia) {
+  return PERIODOS_POR_ANIO[normalizarFrecuencia(frecuencia)];
+}
+
+/**
+ * Fecha del periodo k a partir de una fecha base
+ * Quincenal: alterna las dos fechas de la quincena según el día de la base:
+ * día 15 o fin de mes → 15 y último día del mes; otro día d → d y d+15 (1 → 1 y 16, 16 → 1 y 16)
+ * @param {DateTime} base
+ * @param {string} frecuencia
+ * @param {number} k - Periodos a sumar (0 = base)
+ * @returns {DateTime}
+ */
+export function sumarPeriodos(base, frecuencia, k) {
+  switch (normalizarFrecuencia(frecuencia)) {
+    case 'semanal':
+      return base.plus({ weeks: k });
+    case 'catorcenal':
+      return base.plus({ weeks: 2 * k });
+    case 'quincenal':
+      return sumarQuincenas(base, k);
+    default:
+      return base.plus({ months: k });
+  }
+}
+
+function sumarQuincenas(base, k) {
+  if (k === 0) return base;
+
+  const finDeMes = base.day === base.daysInMonth;
+  const diaPrimera = base.day > 15 ? base.day - 15 : base.day;
+  const calendarioFin = finDeMes || diaPrimera === 15;
+
+  // Quincenas desde el inicio del mes de la base (0 = primera quincena)
+  const quincena = (base.day > 15 ? 1 : 0) + k;
+  const mes = base.set({ day: 1 }).plus({ months: Math.floor(quincena / 2) });
+
+  if (quincena % 2 === 0) {
+    return mes.set({ day: calendarioFin ? 15 : diaPrimera });
+  }
+  return mes.set({ day: calendarioFin ? mes.daysInMonth : Math.min(diaPrimera + 15, mes.daysInMonth) });
+}
+
+/**
+ * Pago periodico fijo (sistema francés)
+ * @param {number} principal - Saldo a amortizar
+ * @param {number} tasaPeriodica - Tasa por periodo (decimal)
+ * @param {number} periodos - Número de pagos
+ * @returns {number}
+ */
+export function pagoPeriodico(principal, tasaPeriodica, periodos) {
+  if (periodos <= 0) return 0;
+  if (tasaPeriodica === 0) return principal / periodos;
+
+  return principal * tasaPeriodica / (1 - Math.pow(1 + tasaPeriodica, -periodos));
+}
+
+/**
+ * Tabla de amortización (pagos fijos, interés sobre saldo insoluto)
+ * El último pago se ajusta para liquidar el saldo exacto.
+ *
+ * @param {Object} datos
+ * @param {number} datos.saldo - Saldo insoluto actual
+ * @param {number} datos.tasaAnual - Tasa anual en porcentaje (ej. 12.5)
+ * @param {number} datos.periodos - Pagos restantes
+ * @param {string} [datos.frecuencia='mensual']
+ * @param {number} [datos.pago] - Pago pactado; si no se indica se calcula
+ * @param {string} [datos.fechaPrimerPago] - ISO (yyyy-MM-dd); default: hoy + 1 periodo
+ * @returns {Object} { pago, filas: [{ numero, fecha, pago, interes, capital, saldo }], totalPagar, totalIntereses, fechaUltimoPago, fechasEstimadas }
+ */
+export function calcularAmortizacion({ saldo, tasaAnual, periodos, frecuencia = 'mensual', pago = null, fechaPrimerPago = null }) {
+  const tasaPeriodica = tasaAnual / 100 / periodosPorAnio(frecuencia);
+  const pagoFijo = redondear(pago || pagoPeriodico(saldo, tasaPeriodica, periodos));
+
+  const hoy = DateTime.now().setZone(ZONA).startOf('day');
+  const primeraFecha = fechaPrimerPago
+    ? DateTime.fromISO(fechaPrimerPago, { zone: ZONA })
+    : sumarPeriodos(hoy, frecuencia, 1);
+  const fechasEstimadas = !fechaPrimerPago || !primeraFecha.isValid;
+  const base = primeraFecha.isValid ? primeraFecha : sumarPeriodos(hoy, frecuencia, 1);
+
+  const filas = [];
+  let restante = saldo;
+  let totalPagar = 0;
+  let totalIntereses = 0;
+
+  for (let numero = 1; numero <= periodos && restante > 0.005; numero++) {
+    const interes = redondear(restante * tasaPeriodica);
+    const esUltimo = numero === periodos || restante + interes <= pagoFijo;
+    const pagoPeriodo = esUltimo ? redondear(restante + interes) : pagoFijo;
+    const capital = redondear(pagoPeriodo - interes);
+
+    restante = redondear(restante - capital);
+    totalPagar += pagoPeriodo;
+    totalIntereses += interes;
+
+    filas.push({
+      numero,
+      fecha: sumarPeriodos(base, frecuencia, numero - 1).toISODate(),
+      pago: pagoPeriodo,
+      interes,
+      capital,
+      saldo: Math.max(restante, 0)
+    });
+  }
+
+  return {
+    pago: pagoFijo,
+    filas,
+    totalPagar: redondear(totalPagar),
+    totalIntereses: redondear(totalIntereses),
+    fechaUltimoPago: filas.at(-1)?.fecha || null,
+    fechasEstimadas
+  };
+}
+
+/**
+ * Interés simple (convención bancaria: año comercial de 360 días)
+ * @param {number} capital
+ * @param {number} tasaAnual - Porcentaje (ej. 8.5)
+ * @param {number} dias
+ * @returns {number}
+ */
+export function interesSimple(capital, tasaAnual, dias) {
+  return redondear(capital * (tasaAnual / 100) * dias / 360);
+}
+
+/**
+ * Retención de ISR sobre el capital (art. 54 LISR: tasa anual sobre capital, año de 365 días)
+ * @param {number} capital
+ * @param {number} tasaRetencionAnual - Porcentaje fijado por la Ley de Ingresos (ej. 0.50)
+ * @param {number} dias
+ * @returns {number}
+ */
+export function retencionISR(capital, tasaRetencionAnual, dias) {
+  return redondear(capital * (tasaRetencionAnual / 100) * dias / 365);
+}
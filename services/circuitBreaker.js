@@ -0,0 +1,82 @@
+// services/circuitBreaker.js - Circuit breaker por destino (deployment de Azure OpenAI)
+
+/**
+ * CircuitBreaker - Deja de llamar a un destino que está fallando
+ *
+ * - closed: se permiten llamadas; `failureThreshold` fallas seguidas → open
+ * - open: se rechazan llamadas durante `cooldownMs`
+ * - half_open: pasado el cooldown se permite una llamada de prueba;
+ *   si funciona → closed, si falla → open otra vez
+ */
+export default class CircuitBreaker {
+  /**
+   * @param {string} name - Identificador para logs y estado
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5]
+   * @param {number} [options.cooldownMs=30000]
+   */
+  constructor(name, { failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * @returns {boolean} true si se puede intentar una llamada ahora
+   */
+  allowRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      console.log(`🟡 Circuito ${this.name}: half-open (llamada de prueba)`);
+    }
+
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🟢 Circuito ${this.name}: cerrado`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probeInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔴 Circuito ${this.name}: abierto por ${this.cooldownMs}ms tras ${this.failures} falla(s)`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * @returns {Object} Estado para endpoints de status
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
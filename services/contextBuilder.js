@@ -0,0 +1,219 @@
+// services/contextBuilder.js - Armado del contexto para Azure OpenAI con presupuesto de tokens
+import { countTokens } from 'gpt-tokenizer';
+import { MESSAGE_TTL } from './storageAdapter.js';
+
+// Mensajes persistidos que se consideran por turno (los que no caben se resumen)
+const CONTEXT_HISTORY_LIMIT = parseInt(process.env.AI_CONTEXT_HISTORY_LIMIT, 10) || 50;
+
+// Tokens reservados para el resumen acumulado (también es el límite de su longitud)
+const SUMMARY_MAX_TOKENS = parseInt(process.env.AI_SUMMARY_MAX_TOKENS, 10) || 800;
+
+// Fracción del espacio para historial que se conserva al resumir
+const HISTORY_KEEP_RATIO = 0.5;
+
+// Tokens fijos por mensaje del formato de chat (rol y separadores)
+const TOKENS_POR_MENSAJE = 4;
+
+/**
+ * Tokens de un mensaje de chat (contenido + formato)
+ * @param {Object} mensaje - { role, content }
+ * @returns {number}
+ */
+export function contarTokens(mensaje) {
+  return TOKENS_POR_MENSAJE + countTokens(String(mensaje?.content ?? ''));
+}
+
+/**
+ * Une el historial persistido con el historial recibido por parámetro sin repetir mensajes
+ * WebChat envía en `historial` los mismos mensajes que ya están en la persistencia.
+ * @param {Array} persistidos - [{ role, content, timestamp }] en orden cronológico
+ * @param {Array} recibidos - [{ role, content }] (fallback del canal)
+ * @param {string} mensajeActual - Se quita del final: ya se guardó antes de procesarlo y se agrega aparte
+ * @returns {Array} [{ role, content, timestamp? }]
+ */
+export function deduplicarHistorial(persistidos = [], recibidos = [], mensajeActual = null) {
+  const clave = (msg) => `${msg.role}\u0000${String(msg.content).trim()}`;
+  const vistos = new Map();
+  const resultado = [];
+
+  const agregar = (msg, contarRepetidos) => {
+    if (!msg?.role || !String(msg.content ?? '').trim()) return;
+
+    const k = clave(msg);
+    const disponibles = vistos.get(k) || 0;
+
+    // Un recibido que ya vino de la persistencia se descarta (una vez por cada aparición)
+    if (!contarRepetidos && disponibles > 0) {
+      vistos.set(k, disponibles - 1);
+      return;
+    }
+
+    if (contarRepetidos) vistos.set(k, disponibles + 1);
+    resultado.push({ ...msg, content: String(msg.content).trim() });
+  };
+
+  persistidos.forEach(msg => agregar(msg, true));
+  (recibidos || []).forEach(msg => agregar(msg, false));
+
+  // El mensaje actual ya se guardó (Teams y WebChat) antes de procesarlo
+  const ultimo = resultado.at(-1);
+  if (mensajeActual && ultimo?.role === 'user' && ultimo.content === mensajeActual.trim()) {
+    resultado.pop();
+  }
+
+  return resultado;
+}
+
+/**
+ * ContextBuilder - Arma los mensajes para el modelo dentro del presupuesto de tokens
+ *
+ * Orden: system (+ resumen de la conversación) → historial reciente → mensaje actual
+ * - El historial se deduplica (persistencia + historial del canal)
+ * - Se conservan los mensajes más recientes que caben en modelo.contextTokens
+ * - Los mensajes que no caben se resumen en un documento type 'summary'
+ *   (id `summary_${user_id}`) junto a los mensajes; en los turnos siguientes
+ *   ya no se leen: el resumen los representa
+ */
+export default class ContextBuilder {
+  /**
+   * @param {StorageAdapter} storage
+   * @param {Function} [resumir] - async (resumenPrevio, mensajes, maxTokens) => string; sin él los excedentes solo se descartan
+   */
+  constructor(storage, resumir = null) {
+    this.storage = storage;
+    this.resumir = resumir;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.systemContent - Prompt de sistema ya armado
+   * @param {string} params.mensaje - Mensaje actual del usuario
+   * @param {Array} [params.historial] - Historial del canal (fallback)
+   * @param {string} [params.userId] - Partición de la persistencia
+   * @param {Object} params.modelo - Parámetros efectivos (contextTokens)
+   * @param {Array} [params.tools] - Definiciones de herramientas (también consumen presupuesto)
+   * @returns {Promise<Object>} { messages, stats: { tokens, budget, historyMessages, summarized, summaryUpdated } }
+   */
+  async construir({ systemContent, mensaje, historial = [], userId = null, modelo, tools = [] }) {
+    const actual = { role: 'user', content: mensaje.trim() };
+    const usarPersistencia = this.storage.isAvailable() && userId;
+
+    const [persistidos, resumen] = usarPersistencia
+      ? await Promise.all([this.leerHistorial(userId), this.leerResumen(userId)])
+      : [[], null];
+
+    // Lo ya resumido no vuelve a entrar como mensaje (se deduplica antes para descartar también sus copias del canal)
+    const candidatos = deduplicarHistorial(persistidos, historial, mensaje)
+      .filter(msg => !resumen?.hasta || !msg.timestamp || msg.timestamp > resumen.hasta);
+
+    const fijos = contarTokens({ content: systemContent }) + contarTokens(actual) +
+      (tools.length > 0 ? countTokens(JSON.stringify(tools)) : 0);
+    // Se reserva espacio para el resumen aunque todavía no exista: puede crearse en este turno
+    const reservaResumen = Math.max(SUMMARY_MAX_TOKENS, resumen ? contarTokens(resumen) : 0);
+    const disponible = modelo.contextTokens - fijos - reservaResumen;
+
+    // Si el historial no cabe, se conserva solo la parte más reciente:
+    // así el resumen se actualiza cada varios turnos y no en cada mensaje (HISTORY_KEEP_RATIO)
+    const totalHistorial = candidatos.reduce((suma, msg) => suma + contarTokens(msg), 0);
+    const resumible = usarPersistencia && this.resumir;
+    const limite = totalHistorial > disponible && resumible ? Math.floor(disponible * HISTORY_KEEP_RATIO) : disponible;
+
+    // Los más recientes primero hasta agotar el límite
+    const incluidos = [];
+    let usados = 0;
+    for (let i = candidatos.length - 1; i >= 0; i--) {
+      const tokens = contarTokens(candidatos[i]);
+      if (usados + tokens > limite) break;
+      incluidos.unshift(candidatos[i]);
+      usados += tokens;
+    }
+
+    const excedentes = candidatos.slice(0, candidatos.length - incluidos.length);
+    let resumenVigente = resumen;
+    let summaryUpdated = false;
+
+    if (excedentes.length > 0) {
+      console.log(`✂️ Contexto: ${excedentes.length} mensaje(s) antiguos fuera del presupuesto (${modelo.contextTokens} tokens)`);
+
+      const nuevo = resumible ? await this.actualizarResumen(userId, resumen, excedentes) : null;
+      if (nuevo) {
+        resumenVigente = nuevo;
+        summaryUpdated = true;
+      }
+    }
+
+    const system = resumenVigente
+      ? `${systemContent}\n\nRESUMEN DE LA CONVERSACIÓN ANTERIOR:\n${resumenVigente.content}`
+      : systemContent;
+
+    const messages = [
+      { role: 'system', content: system },
+      ...incluidos.map(({ role, content }) => ({ role, content })),
+      actual
+    ];
+
+    return {
+      messages,
+      stats: {
+        tokens: messages.reduce((suma, msg) => suma + contarTokens(msg), 0) +
+          (tools.length > 0 ? countTokens(JSON.stringify(tools)) : 0),
+        budget: modelo.contextTokens,
+        historyMessages: incluidos.length,
+        summarized: Boolean(resumenVigente),
+        summaryUpdated
+      }
+    };
+  }
+
+  async leerHistorial(userId) {
+    try {
+      return await this.storage.getLastMessages(userId, CONTEXT_HISTORY_LIMIT) || [];
+    } catch (error) {
+      console.warn(`⚠️ Error obteniendo historial (${this.storage.provider}): ${error.message}`);
+      return [];
+    }
+  }
+
+  async leerResumen(userId) {
+    try {
+      const doc = await this.storage.getDocument(userId, `summary_${userId}`);
+      return doc?.type === 'summary' ? doc : null;
+    } catch (error) {
+      console.warn(`⚠️ Error obteniendo resumen (${this.storage.provider}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Incorpora los mensajes excedentes al resumen acumulado y lo guarda
+   * Solo avanza `hasta` sobre mensajes persistidos (con timestamp); si el resumen falla se conserva el anterior.
+   * @returns {Promise<Object|null>} Documento de resumen nuevo
+   */
+  async actualizarResumen(userId, resumen, excedentes) {
+    const hasta = excedentes.map(msg => msg.timestamp).filter(Boolean).at(-1);
+    if (!hasta) return null;
+
+    try {
+      const content = (await this.resumir(resumen?.content || null, excedentes, SUMMARY_MAX_TOKENS))?.trim();
+      if (!content) return null;
+
+      const doc = {
+        id: `summary_${userId}`,
+        user_id: userId,
+        type: 'summary',
+        content,
+        hasta,
+        mensajes: (resumen?.mensajes || 0) + excedentes.length,
+        updatedAt: new Date().toISOString(),
+        ttl: MESSAGE_TTL
+      };
+
+      await this.storage.upsertDocument(doc);
+      console.log(`📝 Resumen de conversación actualizado (${doc.mensajes} mensajes, ${contarTokens(doc)} tokens)`);
+      return doc;
+    } catch (error) {
+      console.warn(`⚠️ No se pudo resumir el historial: ${error.message}`);
+      return null;
+    }
+  }
+}
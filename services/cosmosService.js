@@ -4,16 +4,17 @@
 
 import { CosmosClient } from '@azure/cosmos';
 import 'dotenv/config';
+import StorageAdapter, { SESSION_TTL, SESSION_MAX_SECONDS, sessionTtl, MESSAGE_TTL, MESSAGE_MAX_CHARS, StorageConflictError, StorageReadError } from './storageAdapter.js';
 
 /**
- * Servicio de Cosmos DB Simplificado v3.0
+ * Servicio de Cosmos DB Simplificado v3.0 (adaptador 'cosmos' de StorageAdapter)
  * - Partition Key: /user_id
- * - Tipo 1: user (sesión/auth, TTL fijo 60min)
+ * - Tipo 1: user (sesión/auth, TTL deslizante por inactividad hasta un máximo desde el login)
  * - Tipo 2: message (historial, TTL fijo 1 día)
- * - NO hay renovación automática de TTL
  */
-export default class CosmosServiceV3 {
+export default class CosmosServiceV3 extends StorageAdapter {
     constructor() {
+        super('cosmos');
         this.initialized = false;
         this.cosmosAvailable = false;
 
@@ -94,12 +95,12 @@ export default class CosmosServiceV3 {
                 loginAt: now,
                 lastActivity: now,
 
-                // TTL fijo de 60 minutos (sin renovación)
-                ttl: 3600
+                // Inactividad máxima; touchUserSession la extiende hasta el máximo desde el login
+                ttl: sessionTtl(now)
             };
 
             const { resource } = await this.container.items.create(userDoc);
-            console.log(`✅ [${usuario}] Sesión creada (TTL fijo: 60min)`);
+            console.log(`✅ [${usuario}] Sesión creada (TTL: ${sessionTtl(now)}s, renovable con la actividad)`);
 
             return resource;
         } catch (error) {
@@ -165,7 +166,7 @@ export default class CosmosServiceV3 {
             user.token = userInfo.token;
             user.loginAt = new Date().toISOString();
             user.lastActivity = new Date().toISOString();
-            user.ttl = 3600;
+            user.ttl = sessionTtl(user.loginAt);
 
             const { resource: updated } = await this.container
                 .item(`user_${usuario}`, usuario)
@@ -233,11 +234,11 @@ export default class CosmosServiceV3 {
                 type: 'message',
 
                 role: role,  // 'user' | 'assistant'
-                content: String(content).substring(0, 4000),
+                content: String(content).substring(0, MESSAGE_MAX_CHARS),
                 timestamp: timestamp,
 
                 // TTL de 1 día (24 horas)
-                ttl: 86400
+                ttl: MESSAGE_TTL
             };
 
             const { resource } = await this.container.items.create(messageDoc);
@@ -293,37 +294,7 @@ export default class CosmosServiceV3 {
     }
 
     /**
-     * Obtiene últimos mensajes separados por rol (5 user + 5 assistant)
-     * @param {string} usuario - ID del usuario
-     * @returns {Promise<{userMessages: Array, assistantMessages: Array}>}
-     */
-    async getLastMessagesByRole(usuario) {
-        if (!this.cosmosAvailable) {
-            return { userMessages: [], assistantMessages: [] };
-        }
-
-        try {
-            const allMessages = await this.getLastMessages(usuario, 20);
-
-            const userMessages = allMessages
-                .filter(m => m.role === 'user')
-                .slice(-5);  // Últimos 5
-
-            const assistantMessages = allMessages
-                .filter(m => m.role === 'assistant')
-                .slice(-5);  // Últimos 5
-
-            console.log(`📊 [${usuario}] Mensajes por rol: ${userMessages.length} user, ${assistantMessages.length} assistant`);
-
-            return { userMessages, assistantMessages };
-        } catch (error) {
-            console.error(`❌ [${usuario}] Error obteniendo mensajes por rol:`, error.message);
-            return { userMessages: [], assistantMessages: [] };
-        }
-    }
-
-    /**
-     * Limpia mensajes del usuario (útil para "limpiar historial")
+     * Limpia mensajes y resumen del usuario (útil para "limpiar historial")
      * @param {string} usuario - ID del usuario
      * @returns {Promise<number>} - Número de mensajes eliminados
      */
@@ -336,7 +307,7 @@ export default class CosmosServiceV3 {
                     SELECT c.id
                     FROM c
                     WHERE c.user_id = @userId
-                      AND c.type = 'message'
+                      AND c.type IN ('message', 'summary')
                 `,
                 parameters: [{ name: '@userId', value: usuario }]
             };
@@ -363,6 +334,71 @@ export default class CosmosServiceV3 {
         }
     }
 
+    // ========================================
+    // DOCUMENTOS GENÉRICOS
+    // ========================================
+
+    async getDocument(partitionKey, id) {
+        if (!this.cosmosAvailable) return null;
+
+        try {
+            const { resource } = await this.container.item(id, partitionKey).read();
+            return resource || null;
+        } catch (error) {
+            if (error.code === 404) return null;
+
+            console.error(`❌ [${partitionKey}] Error leyendo ${id}:`, error.message);
+            throw new StorageReadError(id, error);
+        }
+    }
+
+    async upsertDocument(doc, options = {}) {
+        if (!this.cosmosAvailable) return null;
+
+        try {
+            if (options.ifMatch) {
+                const { resource } = await this.container
+                    .item(doc.id, doc.user_id)
+                    .replace(doc, { accessCondition: { type: 'IfMatch', condition: options.ifMatch } });
+                return resource;
+            }
+
+            if (options.createOnly) {
+                const { resource } = await this.container.items.create(doc);
+                return resource;
+            }
+
+            const { resource } = await this.container.items.upsert(doc);
+            return resource;
+        } catch (error) {
+            // 412: eTag distinto, 404: el documento leído ya no existe
+            if (options.ifMatch && (error.code === 412 || error.code === 404)) {
+                throw new StorageConflictError(doc.id);
+            }
+            // 409: ya existe
+            if (options.createOnly && error.code === 409) {
+                throw new StorageConflictError(doc.id);
+            }
+
+            console.error(`❌ [${doc.user_id}] Error guardando ${doc.id}:`, error.message);
+            return null;
+        }
+    }
+
+    async deleteDocument(partitionKey, id) {
+        if (!this.cosmosAvailable) return false;
+
+        try {
+            await this.container.item(id, partitionKey).delete();
+            return true;
+        } catch (error) {
+            if (error.code === 404) return true;
+
+            console.error(`❌ [${partitionKey}] Error eliminando ${id}:`, error.message);
+            return false;
+        }
+    }
+
     // ========================================
     // MÉTODOS DE UTILIDAD/DIAGNÓSTICO
     // ========================================
@@ -410,14 +446,15 @@ export default class CosmosServiceV3 {
      */
     getStats() {
         return {
+            provider: this.provider,
             available: this.cosmosAvailable,
             database: this.databaseId,
             container: this.containerId,
             partitionKey: '/user_id',
             version: '3.0.0-Simplified',
-            ttlRenewal: false,
+            ttlRenewal: true,
             documentTypes: {
-                user: { ttl: '60min fijo', purpose: 'auth/session' },
+                user: { ttl: `${SESSION_TTL / 60}min de inactividad (máx. ${SESSION_MAX_SECONDS / 3600}h)`, purpose: 'auth/session' },
                 message: { ttl: '24h fijo', purpose: 'chat history' }
             }
         };
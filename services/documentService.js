@@ -3,6 +3,8 @@ import 'dotenv/config';
 import { SearchClient, AzureKeyCredential } from '@azure/search-documents';
 import OpenAI from 'openai';
 import axios from 'axios';
+import { getCacheService } from './cacheService.js';
+import AIConfigService from './aiConfigService.js';
 
 /**
  * DocumentService - Búsqueda vectorial semántica en Azure Cognitive Search
@@ -64,18 +66,19 @@ export default class DocumentService {
                 return;
             }
 
-            const embeddingDeployment = 'text-embedding-3-large';
-            const baseURL = `${endpoint}/openai/deployments/${embeddingDeployment}`;
+            // Mismo deployment que AzureOpenAIService (EMBEDDING_DEPLOYMENT / EMBEDDING_API_VERSION)
+            const embeddings = new AIConfigService().getEmbeddingConfig();
+            const baseURL = `${endpoint}/openai/deployments/${embeddings.deployment}`;
 
             this.openaiClient = new OpenAI({
                 apiKey: apiKey,
                 baseURL: baseURL,
-                defaultQuery: { 'api-version': '2025-01-01-preview' },
+                defaultQuery: { 'api-version': embeddings.apiVersion },
                 defaultHeaders: { 'api-key': apiKey, 'Content-Type': 'application/json' },
                 timeout: 30000
             });
 
-            this.embeddingModel = embeddingDeployment;
+            this.embeddingModel = embeddings.model;
             this.openaiAvailable = true;
 
         } catch (error) {
@@ -246,6 +249,13 @@ export default class DocumentService {
      * @returns {Promise<string>} Perfil (TipoServicioLimitado como string)
      */
     async obtenerPerfilDesdeAPI(userToken, numSocio) {
+        // El tipo de servicio es dato personal: caché por socio ('perfil_servicio')
+        return await getCacheService().getOrSet('perfil_servicio', numSocio,
+            () => this.consultarPerfilAPI(userToken, numSocio),
+            { userId: numSocio });
+    }
+
+    async consultarPerfilAPI(userToken, numSocio) {
         const url = process.env.NOVA_API_URL_TIPO_SERVICIO ||
                     'https://pruebas.nova.com.mx/ApiRestNova/api/TipoServicio/obtTipoServicioPoSocio';
 
@@ -281,17 +291,21 @@ export default class DocumentService {
     async createEmbedding(text) {
         if (!this.openaiAvailable || !text) return null;
 
-        try {
-            const cleanText = text.trim().substring(0, 8000);
-            const result = await this.openaiClient.embeddings.create({
-                input: cleanText,
-                model: this.embeddingModel
-            });
-            return result.data[0]?.embedding || null;
-        } catch (error) {
-            console.error('❌ Embedding:', error.message);
-            return null;
-        }
+        const cleanText = text.trim().substring(0, 8000);
+
+        // Mismo texto + mismo modelo → mismo vector ('embeddings')
+        return await getCacheService().getOrSet('embeddings', [this.embeddingModel, cleanText], async () => {
+            try {
+                const result = await this.openaiClient.embeddings.create({
+                    input: cleanText,
+                    model: this.embeddingModel
+                });
+                return result.data[0]?.embedding || null;
+            } catch (error) {
+                console.error('❌ Embedding:', error.message);
+                return null;
+            }
+        });
     }
 
     cleanup() {
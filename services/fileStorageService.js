@@ -0,0 +1,366 @@
+// services/fileStorageService.js - Adaptador de persistencia en JSON local
+// Pensado para desarrollo local y CI: mismo modelo de documentos y TTL que Cosmos DB
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import 'dotenv/config';
+import StorageAdapter, { SESSION_TTL, SESSION_MAX_SECONDS, sessionTtl, MESSAGE_TTL, MESSAGE_MAX_CHARS, StorageConflictError } from './storageAdapter.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_FILE_PATH = path.join(ROOT_DIR, '.data', 'novabot-storage.json');
+const PURGE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * FileStorageService - Adaptador 'file' de StorageAdapter
+ * - Un archivo JSON: { partitions: { [user_id]: { [id]: documento } } }
+ * - `_ts` en segundos como Cosmos; un documento expira cuando `_ts + ttl` ya pasó
+ * - Los expirados se ignoran al leer y se purgan periódicamente
+ * - Escritura diferida y atómica (archivo temporal + rename)
+ */
+export default class FileStorageService extends StorageAdapter {
+    constructor() {
+        super('file');
+        this.filePath = process.env.FILE_STORAGE_PATH
+            ? path.resolve(ROOT_DIR, process.env.FILE_STORAGE_PATH)
+            : DEFAULT_FILE_PATH;
+        this.partitions = {};
+        this.fileAvailable = false;
+        this.flushTimer = null;
+
+        console.log('🚀 Inicializando almacenamiento local (JSON)...');
+        this.initializeFile();
+    }
+
+    initializeFile() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.partitions = data.partitions || {};
+            }
+
+            this.purgeExpired();
+            this.purgeTimer = setInterval(() => this.purgeExpired(), PURGE_INTERVAL_MS);
+            this.purgeTimer.unref();
+
+            // Escritura pendiente al cerrar el proceso (SIGINT → process.exit)
+            process.on('exit', () => {
+                if (this.flushTimer) this.flush();
+            });
+
+            this.fileAvailable = true;
+            console.log('✅ Almacenamiento local configurado');
+            console.log(`   Archivo: ${this.filePath}`);
+        } catch (error) {
+            console.error('❌ Error inicializando almacenamiento local:', error.message);
+            this.fileAvailable = false;
+        }
+    }
+
+    isAvailable() {
+        return this.fileAvailable;
+    }
+
+    // ========================================
+    // GESTIÓN DE SESIONES/AUTH
+    // ========================================
+
+    async createUserSession(usuario, userInfo) {
+        if (!this.fileAvailable) {
+            console.warn('⚠️ Almacenamiento local no disponible - sesión no persistida');
+            return null;
+        }
+
+        if (this.readDocument(usuario, `user_${usuario}`)) {
+            console.log(`🔄 [${usuario}] Sesión ya existe, actualizando...`);
+            return await this.renewUserSession(usuario, userInfo);
+        }
+
+        const now = new Date().toISOString();
+        const userDoc = this.writeDocument({
+            id: `user_${usuario}`,
+            user_id: usuario,
+            type: 'user',
+
+            usuario: userInfo.usuario || usuario,
+            nombre: userInfo.nombre,
+            paterno: userInfo.paterno || '',
+            materno: userInfo.materno || '',
+            token: userInfo.token,
+
+            loginAt: now,
+            lastActivity: now,
+
+            ttl: sessionTtl(now)
+        });
+
+        console.log(`✅ [${usuario}] Sesión creada (TTL: ${sessionTtl(now)}s, renovable con la actividad)`);
+        return userDoc;
+    }
+
+    async getUserSession(usuario) {
+        if (!this.fileAvailable) {
+            console.warn('⚠️ Almacenamiento local no disponible');
+            return null;
+        }
+
+        const user = this.readDocument(usuario, `user_${usuario}`);
+        if (!user) {
+            console.log(`⚠️ [${usuario}] Sesión no encontrada (expiró o no logeado)`);
+            return null;
+        }
+
+        console.log(`✅ [${usuario}] Sesión activa (TTL: ${user.ttl}s)`);
+        return user;
+    }
+
+    /**
+     * Actualiza sesión existente (para login repetido)
+     * @private
+     */
+    async renewUserSession(usuario, userInfo) {
+        const user = this.readDocument(usuario, `user_${usuario}`);
+        if (!user) return null;
+
+        const now = new Date().toISOString();
+        const updated = this.writeDocument({
+            ...user,
+            usuario: userInfo.usuario || user.usuario,
+            nombre: userInfo.nombre,
+            paterno: userInfo.paterno || '',
+            materno: userInfo.materno || '',
+            token: userInfo.token,
+            loginAt: now,
+            lastActivity: now,
+            ttl: sessionTtl(now)
+        });
+
+        console.log(`✅ [${usuario}] Sesión actualizada`);
+        return updated;
+    }
+
+    async deleteUserSession(usuario) {
+        if (!this.fileAvailable) return false;
+
+        this.removeDocument(usuario, `user_${usuario}`);
+        console.log(`🗑️ [${usuario}] Sesión eliminada`);
+        return true;
+    }
+
+    // ========================================
+    // GESTIÓN DE MENSAJES
+    // ========================================
+
+    async saveMessage(usuario, role, content) {
+        if (!this.fileAvailable) {
+            console.warn('⚠️ Almacenamiento local no disponible - mensaje no guardado');
+            return null;
+        }
+
+        const now = new Date();
+        let messageId = `message_${usuario}_${now.getTime()}`;
+
+        // Mismo esquema de id que Cosmos; evitar sobrescribir mensajes del mismo milisegundo
+        for (let i = 1; this.partitions[usuario]?.[messageId]; i++) {
+            messageId = `message_${usuario}_${now.getTime()}_${i}`;
+        }
+
+        const messageDoc = this.writeDocument({
+            id: messageId,
+            user_id: usuario,
+            type: 'message',
+
+            role: role,
+            content: String(content).substring(0, MESSAGE_MAX_CHARS),
+            timestamp: now.toISOString(),
+
+            ttl: MESSAGE_TTL
+        });
+
+        console.log(`💾 [${usuario}] Mensaje guardado: ${role} (TTL: 1 día)`);
+        return messageDoc;
+    }
+
+    async getLastMessages(usuario, limit = 10) {
+        if (!this.fileAvailable) {
+            console.warn('⚠️ Almacenamiento local no disponible');
+            return [];
+        }
+
+        const messages = this.queryPartition(usuario, doc => doc.type === 'message')
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .slice(-limit)
+            .map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+
+        console.log(`📚 [${usuario}] Obtenidos ${messages.length} mensajes`);
+        return messages;
+    }
+
+    async clearUserMessages(usuario) {
+        if (!this.fileAvailable) return 0;
+
+        const messages = this.queryPartition(usuario, doc => doc.type === 'message' || doc.type === 'summary');
+        messages.forEach(msg => this.removeDocument(usuario, msg.id));
+
+        console.log(`🗑️ [${usuario}] Eliminados ${messages.length} mensajes`);
+        return messages.length;
+    }
+
+    // ========================================
+    // DOCUMENTOS GENÉRICOS
+    // ========================================
+
+    async getDocument(partitionKey, id) {
+        if (!this.fileAvailable) return null;
+        return this.readDocument(partitionKey, id);
+    }
+
+    async upsertDocument(doc, options = {}) {
+        if (!this.fileAvailable) return null;
+
+        if (options.ifMatch) {
+            const current = this.readDocument(doc.user_id, doc.id);
+            if (!current || current._etag !== options.ifMatch) {
+                throw new StorageConflictError(doc.id);
+            }
+        }
+
+        if (options.createOnly && this.readDocument(doc.user_id, doc.id)) {
+            throw new StorageConflictError(doc.id);
+        }
+
+        return this.writeDocument(doc);
+    }
+
+    async deleteDocument(partitionKey, id) {
+        if (!this.fileAvailable) return false;
+
+        this.removeDocument(partitionKey, id);
+        return true;
+    }
+
+    // ========================================
+    // MÉTODOS DE UTILIDAD/DIAGNÓSTICO
+    // ========================================
+
+    async getUserData(usuario) {
+        if (!this.fileAvailable) {
+            return { session: null, messages: [] };
+        }
+
+        const resources = this.queryPartition(usuario, () => true)
+            .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+
+        const session = resources.find(r => r.type === 'user');
+        const messages = resources.filter(r => r.type === 'message');
+
+        console.log(`📊 [${usuario}] Sesión: ${session ? 'activa' : 'no encontrada'}, Mensajes: ${messages.length}`);
+        return { session, messages };
+    }
+
+    getStats() {
+        const partitions = Object.keys(this.partitions).length;
+
+        return {
+            provider: this.provider,
+            available: this.fileAvailable,
+            file: this.filePath,
+            partitions,
+            partitionKey: '/user_id',
+            ttlRenewal: true,
+            documentTypes: {
+                user: { ttl: `${SESSION_TTL / 60}min de inactividad (máx. ${SESSION_MAX_SECONDS / 3600}h)`, purpose: 'auth/session' },
+                message: { ttl: '24h fijo', purpose: 'chat history' }
+            }
+        };
+    }
+
+    // ========================================
+    // ACCESO A DOCUMENTOS
+    // ========================================
+
+    isExpired(doc, nowSeconds = Math.floor(Date.now() / 1000)) {
+        return typeof doc.ttl === 'number' && doc.ttl > 0 && doc._ts + doc.ttl <= nowSeconds;
+    }
+
+    readDocument(usuario, id) {
+        const doc = this.partitions[usuario]?.[id];
+        if (!doc || this.isExpired(doc)) return null;
+        return { ...doc };
+    }
+
+    queryPartition(usuario, predicate) {
+        const partition = this.partitions[usuario] || {};
+        const nowSeconds = Math.floor(Date.now() / 1000);
+
+        return Object.values(partition)
+            .filter(doc => !this.isExpired(doc, nowSeconds) && predicate(doc))
+            .map(doc => ({ ...doc }));
+    }
+
+    writeDocument(doc) {
+        const stored = { ...doc, _ts: Math.floor(Date.now() / 1000), _etag: randomUUID() };
+
+        this.partitions[doc.user_id] = this.partitions[doc.user_id] || {};
+        this.partitions[doc.user_id][doc.id] = stored;
+        this.scheduleFlush();
+
+        return { ...stored };
+    }
+
+    removeDocument(usuario, id) {
+        const partition = this.partitions[usuario];
+        if (!partition?.[id]) return false;
+
+        delete partition[id];
+        if (Object.keys(partition).length === 0) {
+            delete this.partitions[usuario];
+        }
+        this.scheduleFlush();
+        return true;
+    }
+
+    purgeExpired() {
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        let purged = 0;
+
+        for (const [usuario, partition] of Object.entries(this.partitions)) {
+            for (const [id, doc] of Object.entries(partition)) {
+                if (this.isExpired(doc, nowSeconds)) {
+                    delete partition[id];
+                    purged++;
+                }
+            }
+            if (Object.keys(partition).length === 0) {
+                delete this.partitions[usuario];
+            }
+        }
+
+        if (purged > 0) {
+            console.log(`🧹 Almacenamiento local: ${purged} documento(s) expirados eliminados`);
+            this.scheduleFlush();
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, 100);
+    }
+
+    flush() {
+        try {
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ partitions: this.partitions }));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            console.error('❌ Error escribiendo almacenamiento local:', error.message);
+        }
+    }
+}
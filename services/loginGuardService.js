@@ -0,0 +1,295 @@
+// services/loginGuardService.js - Protección contra fuerza bruta en el login de Nova
+import 'dotenv/config';
+import crypto from 'crypto';
+import { StorageConflictError } from './storageAdapter.js';
+
+function entero(valor, porDefecto) {
+    const numero = parseInt(valor, 10);
+    return Number.isNaN(numero) ? porDefecto : numero;
+}
+
+/**
+ * Política de intentos (variables LOGIN_*)
+ */
+function leerPolitica() {
+    const env = process.env;
+    return {
+        maxIntentos: entero(env.LOGIN_MAX_ATTEMPTS, 5),
+        bloqueoMs: entero(env.LOGIN_LOCKOUT_MINUTES, 15) * 60000,
+        ventanaMs: entero(env.LOGIN_ATTEMPT_WINDOW_MINUTES, 15) * 60000,
+        esperaBaseMs: entero(env.LOGIN_DELAY_BASE_SECONDS, 2) * 1000,
+        esperaMaxMs: entero(env.LOGIN_DELAY_MAX_SECONDS, 60) * 1000
+    };
+}
+
+// Reintentos de lectura-modificación-escritura ante conflicto de eTag
+const MAX_CONFLICTOS = 3;
+
+// Ids de canal recordados por usuario Nova (para desbloquearlos junto con el usuario)
+const MAX_ACTORES = 10;
+
+// Duración de la reserva de un intento en curso (cubre el timeout de 15 s de la API Nova)
+const RESERVA_MS = 30000;
+
+/**
+ * Limitación vigente de una clave (bloqueo, espera entre intentos o intento en curso)
+ * @returns {{motivo: string, hasta: number}|null}
+ */
+function limitacion(doc, ahora) {
+    if (!doc) return null;
+    if (doc.bloqueadoHasta > ahora) return { motivo: 'bloqueado', hasta: doc.bloqueadoHasta };
+    if (doc.esperarHasta > ahora) return { motivo: 'espera', hasta: doc.esperarHasta };
+    if (doc.enCursoHasta > ahora) return { motivo: 'en_curso', hasta: doc.enCursoHasta };
+    return null;
+}
+
+/**
+ * LoginGuard - Intentos fallidos por id de Teams y por usuario Nova
+ *
+ * - Cada fallo exige esperar antes del siguiente intento: LOGIN_DELAY_BASE_SECONDS × 2^(fallos-1),
+ *   hasta LOGIN_DELAY_MAX_SECONDS (los intentos antes de tiempo se rechazan sin llamar a Nova)
+ * - Al llegar a LOGIN_MAX_ATTEMPTS fallos dentro de LOGIN_ATTEMPT_WINDOW_MINUTES,
+ *   la clave queda bloqueada LOGIN_LOCKOUT_MINUTES
+ * - Basta con que una de las dos claves (id de Teams o usuario) esté limitada para rechazar el intento
+ * - Cada intento se reserva (enCursoHasta, escrito con ifMatch) antes de consultar a Nova:
+ *   los envíos simultáneos no pasan todos la verificación antes de que se registre el fallo
+ * - Un login exitoso reinicia ambas claves
+ *
+ * Estado: documentos type 'loginguard' (id = partición = `loginguard_<tipo>_<hash>`), con ttl,
+ * así el bloqueo sobrevive reinicios y se comparte entre instancias.
+ * Sin persistencia disponible no se limita (tampoco se podría crear la sesión); un error al leer
+ * el estado (StorageReadError) se propaga y el login falla, en lugar de reiniciar los contadores.
+ */
+export default class LoginGuard {
+    /**
+     * @param {import('./storageAdapter.js').default} storage - Adaptador de persistencia
+     * @param {object} [politica] - Sobrescribe la política de las variables de entorno
+     */
+    constructor(storage, politica = {}) {
+        this.storage = storage;
+        this.politica = { ...leerPolitica(), ...politica };
+    }
+
+    /**
+     * Claves a limitar para un intento
+     * @returns {Array<{tipo: string, clave: string, id: string}>}
+     */
+    claves(userId, username) {
+        return [
+            { tipo: 'teams', clave: userId },
+            { tipo: 'usuario', clave: username?.trim().toLowerCase() }
+        ]
+            .filter(({ clave }) => clave)
+            .map(({ tipo, clave }) => ({
+                tipo,
+                clave,
+                // Hash: el usuario es texto libre y podría traer caracteres no válidos en un id
+                id: `loginguard_${tipo}_${crypto.createHash('sha256').update(clave).digest('hex').substring(0, 32)}`
+            }));
+    }
+
+    /**
+     * Indica si se permite intentar el login ahora
+     * @param {string} userId - Id del usuario en el canal
+     * @param {string} username - Usuario Nova capturado
+     * @returns {Promise<{permitido: boolean, motivo: string|null, esperaSegundos: number}>}
+     *   motivo: 'bloqueado' (LOGIN_MAX_ATTEMPTS alcanzado) | 'espera' (entre intentos) | 'en_curso' (otro intento reservado)
+     */
+    async verificar(userId, username) {
+        if (!this.storage.isAvailable()) {
+            return { permitido: true, motivo: null, esperaSegundos: 0 };
+        }
+
+        const ahora = Date.now();
+        const docs = await Promise.all(this.claves(userId, username)
+            .map(({ id }) => this.storage.getDocument(id, id)));
+
+        const limitaciones = docs
+            .map(doc => limitacion(doc, ahora))
+            .filter(Boolean);
+
+        if (limitaciones.length === 0) {
+            return { permitido: true, motivo: null, esperaSegundos: 0 };
+        }
+
+        // El bloqueo prevalece sobre la espera entre intentos
+        const bloqueos = limitaciones.filter(l => l.motivo === 'bloqueado');
+        const aplicables = bloqueos.length > 0 ? bloqueos : limitaciones;
+        const hasta = Math.max(...aplicables.map(l => l.hasta));
+
+        return {
+            permitido: false,
+            motivo: aplicables[0].motivo,
+            esperaSegundos: Math.ceil((hasta - ahora) / 1000)
+        };
+    }
+
+    /**
+     * Verifica y reserva el intento en ambas claves antes de consultar a Nova
+     * La reserva termina con registrarFallo, registrarExito o liberar.
+     * @returns {Promise<{permitido: boolean, motivo: string|null, esperaSegundos: number}>} Igual que verificar
+     */
+    async reservar(userId, username) {
+        const acceso = await this.verificar(userId, username);
+        if (!acceso.permitido || !this.storage.isAvailable()) return acceso;
+
+        const reservadas = [];
+        for (const clave of this.claves(userId, username)) {
+            const limitada = await this.reservarClave(clave);
+
+            if (limitada) {
+                // Otro intento se adelantó: se sueltan las claves ya reservadas
+                await Promise.all(reservadas.map(reservada => this.liberarClave(reservada)));
+                return {
+                    permitido: false,
+                    motivo: limitada.motivo,
+                    esperaSegundos: Math.ceil((limitada.hasta - Date.now()) / 1000)
+                };
+            }
+            reservadas.push(clave);
+        }
+
+        return acceso;
+    }
+
+    async reservarClave({ tipo, clave, id }) {
+        for (let intento = 1; ; intento++) {
+            const actual = await this.storage.getDocument(id, id);
+            const ahora = Date.now();
+
+            const limitada = limitacion(actual, ahora);
+            if (limitada) return limitada;
+
+            const doc = actual
+                ? { ...actual, enCursoHasta: ahora + RESERVA_MS }
+                : {
+                    id,
+                    user_id: id,
+                    type: 'loginguard',
+                    tipo,
+                    clave,
+                    fallos: 0,
+                    enCursoHasta: ahora + RESERVA_MS,
+                    ttl: Math.ceil(RESERVA_MS / 1000)
+                };
+
+            try {
+                await this.storage.upsertDocument(doc, actual ? { ifMatch: actual._etag } : { createOnly: true });
+                return null;
+            } catch (error) {
+                // Otro intento escribió primero: se vuelve a evaluar sobre su versión
+                if (!(error instanceof StorageConflictError) || intento >= MAX_CONFLICTOS) throw error;
+            }
+        }
+    }
+
+    /**
+     * Suelta la reserva sin contar un fallo (la API Nova no respondió)
+     */
+    async liberar(userId, username) {
+        if (!this.storage.isAvailable()) return;
+
+        await Promise.all(this.claves(userId, username).map(clave => this.liberarClave(clave)));
+    }
+
+    async liberarClave({ id }) {
+        const actual = await this.storage.getDocument(id, id);
+        if (!actual?.enCursoHasta) return;
+
+        if (!actual.fallos) {
+            await this.storage.deleteDocument(id, id);
+            return;
+        }
+
+        const { enCursoHasta, ...doc } = actual;
+        try {
+            await this.storage.upsertDocument(doc, { ifMatch: actual._etag });
+        } catch (error) {
+            // Otro intento ya actualizó la clave (y con ella la reserva)
+            if (!(error instanceof StorageConflictError)) throw error;
+        }
+    }
+
+    /**
+     * Registra un intento fallido en ambas claves
+     * @returns {Promise<{fallos: number, bloqueado: boolean, esperaSegundos: number}>} El peor estado de las claves
+     */
+    async registrarFallo(userId, username) {
+        if (!this.storage.isAvailable()) {
+            return { fallos: 0, bloqueado: false, esperaSegundos: 0 };
+        }
+
+        const estados = await Promise.all(this.claves(userId, username)
+            .map(clave => this.incrementar(clave, userId)));
+
+        return estados.reduce((peor, estado) => ({
+            fallos: Math.max(peor.fallos, estado.fallos),
+            bloqueado: peor.bloqueado || estado.bloqueado,
+            esperaSegundos: Math.max(peor.esperaSegundos, estado.esperaSegundos)
+        }), { fallos: 0, bloqueado: false, esperaSegundos: 0 });
+    }
+
+    async incrementar({ tipo, clave, id }, userId) {
+        const { maxIntentos, bloqueoMs, ventanaMs, esperaBaseMs, esperaMaxMs } = this.politica;
+
+        for (let intento = 1; ; intento++) {
+            const actual = await this.storage.getDocument(id, id);
+            const ahora = Date.now();
+
+            // Fallos fuera de la ventana o de un bloqueo ya cumplido no cuentan
+            const vigente = actual && ahora - actual.ultimoFallo < ventanaMs &&
+                !(actual.bloqueadoHasta && actual.bloqueadoHasta <= ahora);
+            const fallos = (vigente ? actual.fallos : 0) + 1;
+            const bloqueado = fallos >= maxIntentos;
+            const esperaMs = bloqueado ? bloqueoMs : Math.min(esperaBaseMs * 2 ** (fallos - 1), esperaMaxMs);
+
+            const doc = {
+                id,
+                user_id: id,
+                type: 'loginguard',
+                tipo,
+                clave,
+                fallos,
+                ultimoFallo: ahora,
+                esperarHasta: ahora + esperaMs,
+                bloqueadoHasta: bloqueado ? ahora + bloqueoMs : null,
+                // Ids que fallaron con este usuario: el desbloqueo también los libera
+                ...(tipo === 'usuario' ? { actores: [...new Set([...(vigente ? actual.actores || [] : []), userId])].filter(Boolean).slice(-MAX_ACTORES) } : {}),
+                ttl: Math.ceil(Math.max(ventanaMs, esperaMs) / 1000)
+            };
+
+            try {
+                await this.storage.upsertDocument(doc, actual ? { ifMatch: actual._etag } : {});
+                return { fallos, bloqueado, esperaSegundos: Math.ceil(esperaMs / 1000) };
+            } catch (error) {
+                // Otro intento simultáneo escribió primero: se recalcula sobre su versión
+                if (!(error instanceof StorageConflictError) || intento >= MAX_CONFLICTOS) throw error;
+            }
+        }
+    }
+
+    /**
+     * Reinicia los contadores tras un login exitoso
+     */
+    async registrarExito(userId, username) {
+        if (!this.storage.isAvailable()) return;
+
+        await Promise.all(this.claves(userId, username)
+            .map(({ id }) => this.storage.deleteDocument(id, id)));
+    }
+
+    /**
+     * Quita el bloqueo de un usuario Nova y de los ids de canal que fallaron con él (administración)
+     * @param {string} username
+     * @returns {Promise<boolean>}
+     */
+    async desbloquear(username) {
+        const [{ id }] = this.claves(null, username);
+        const doc = await this.storage.getDocument(id, id);
+
+        const actores = (doc?.actores || []).flatMap(actor => this.claves(actor, null));
+        await Promise.all(actores.map(clave => this.storage.deleteDocument(clave.id, clave.id)));
+
+        return await this.storage.deleteDocument(id, id);
+    }
+}
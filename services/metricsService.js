@@ -5,6 +5,11 @@
 // Trackea: canal, herramientas usadas, documentos consultados
 
 import axios from 'axios';
+import { getTool, getTools } from './toolRegistry.js';
+import { WEBCHAT_USER_PREFIX } from './webchatAuthService.js';
+
+// Todas las banderas de métricas declaradas por las herramientas; se envían siempre (false por defecto)
+const BANDERAS = [...new Set(getTools().map(tool => tool.metricsTag).filter(Boolean))];
 
 /**
  * MetricsService - Envía métricas de uso del bot a Bubble.io
@@ -14,7 +19,11 @@ import axios from 'axios';
  * - consulta_documento: true | false
  * - consulta_saldo: true | false
  * - consulta_tasas: true | false
+ * - consulta_movimientos: true | false
+ * - consulta_<x>: true | false según el metricsTag de cada herramienta (services/tools/)
  * - documentos: ["título1", "título2"] (opcional)
+ *
+ * Cada bandera `consulta_<x>` se envía a Bubble.io como "consulta <x>?".
  */
 export default class MetricsService {
   constructor() {
@@ -31,18 +40,22 @@ export default class MetricsService {
 
   /**
    * Detecta el canal de origen basado en el formato del userId
-   * @param {string} userId - ID del usuario (Teams: "29:xxx", WebChat: JWT)
+   * @param {string} userId - ID del usuario (Teams: "29:xxx", WebChat: "webchat:<CveUsuario>")
    * @returns {string} "Teams" | "WebChat" | "Unknown"
    */
   detectChannel(userId) {
     if (!userId) return 'Unknown';
 
+    if (userId.startsWith(WEBCHAT_USER_PREFIX)) {
+      return 'WebChat';
+    }
+
     // Teams userId comienza con "29:"
     if (userId.startsWith('29:')) {
       return 'Teams';
     }
 
-    // WebChat usa JWT (contiene puntos)
+    // Ids anteriores de WebChat: JWT completo (contiene puntos)
     if (userId.includes('.')) {
       return 'WebChat';
     }
@@ -58,6 +71,7 @@ export default class MetricsService {
    * @param {boolean} data.consulta_saldo - Si se consultó saldo
    * @param {boolean} data.consulta_tasas - Si se consultaron tasas
    * @param {string[]} [data.documentos] - Array de títulos (opcional)
+   * @param {string} [data.promptVersion] - Versiones de prompts, p. ej. "sistema@v1+contexto@v1+seguridad@v1" (opcional)
    */
   async enviarMetrica(data) {
     // Si está deshabilitado, no hacer nada
@@ -67,18 +81,22 @@ export default class MetricsService {
 
     try {
       // Validar estructura de datos (nombres exactos de Bubble.io)
-      const payload = {
-        canal: data.canal || 'Unknown',
-        'consulta documento?': data.consulta_documento || false,
-        'consulta saldo?': data.consulta_saldo || false,
-        'consulta tasas?': data.consulta_tasas || false
-      };
+      const payload = { canal: data.canal || 'Unknown' };
+      for (const [bandera, valor] of Object.entries(data)) {
+        if (bandera.startsWith('consulta_')) {
+          payload[`${bandera.replace(/_/g, ' ')}?`] = valor || false;
+        }
+      }
 
       // Agregar documentos solo si existen y no está vacío
       if (data.documentos && Array.isArray(data.documentos) && data.documentos.length > 0) {
         payload.documentos = data.documentos;
       }
 
+      if (data.promptVersion) {
+        payload['prompt version'] = data.promptVersion;
+      }
+
       // Enviar a Bubble.io
       await axios.post(this.bubbleUrl, payload, {
         headers: {
@@ -127,44 +145,30 @@ export default class MetricsService {
    * @param {string} userId - ID del usuario
    * @param {Array} toolCalls - Array de tool_calls de OpenAI
    * @param {Object} toolResults - Resultados de ejecución de herramientas
+   * @param {string} [promptVersion] - Versiones de las plantillas usadas (ver PromptService)
    * @returns {Object} Objeto de métrica listo para enviar
    */
-  crearMetricaDesdeToolCalls(userId, toolCalls = [], toolResults = {}) {
-    const metrica = {
-      canal: this.detectChannel(userId),
-      consulta_documento: false,
-      consulta_saldo: false,
-      consulta_tasas: false
-    };
+  crearMetricaDesdeToolCalls(userId, toolCalls = [], toolResults = {}, promptVersion = null) {
+    const metrica = { canal: this.detectChannel(userId) };
+    if (promptVersion) metrica.promptVersion = promptVersion;
+    BANDERAS.forEach(bandera => { metrica[bandera] = false; });
 
-    // Analizar cada tool call
+    // Analizar cada tool call según el metricsTag de su herramienta
     for (const toolCall of toolCalls) {
       const toolName = toolCall.function?.name || toolCall.name;
+      const tag = getTool(toolName)?.metricsTag;
+
+      // Ignorar herramientas sin bandera de métricas
+      if (!tag) continue;
+
+      metrica[tag] = true;
 
-      switch (toolName) {
-        case 'buscar_documentos_nova':
-        case 'consultar_procedimientos':
-          metrica.consulta_documento = true;
-          // Extraer títulos si hay resultado
-          if (toolResults[toolCall.id]) {
-            const titulos = this.extraerTitulosDocumentos(toolResults[toolCall.id]);
-            if (titulos.length > 0) {
-              metrica.documentos = titulos;
-            }
-          }
-          break;
-
-        case 'consultar_saldo_usuario':
-          metrica.consulta_saldo = true;
-          break;
-
-        case 'consultar_tasas_interes':
-          metrica.consulta_tasas = true;
-          break;
-
-        // Ignorar otras herramientas
-        default:
-          break;
+      // Extraer títulos si hay resultado de búsqueda de documentos
+      if (tag === 'consulta_documento' && toolResults[toolCall.id]) {
+        const titulos = this.extraerTitulosDocumentos(toolResults[toolCall.id]);
+        if (titulos.length > 0) {
+          metrica.documentos = titulos;
+        }
       }
     }
 
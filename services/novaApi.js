@@ -0,0 +1,101 @@
+// services/novaApi.js - Cliente compartido para la API REST de Nova (usado por las herramientas)
+import axios from 'axios';
+
+/**
+ * Llamada POST a la API de Nova
+ * Manejo centralizado de errores y timeouts
+ * @param {string} url - URL del endpoint
+ * @param {Object} body - Cuerpo de la petición
+ * @param {string} userToken - Token JWT
+ * @param {string} errorContext - Contexto para logging
+ * @param {Object} [opciones]
+ * @param {Function} [opciones.renovarToken] - async (tokenRechazado) => token|null; ante un 401 se renueva
+ *   el token y se reintenta una vez (contexto de las herramientas, ver openaiService.procesarHerramientas)
+ * @returns {Promise<Object>} { success, data, error, status }
+ */
+export async function callNovaAPI(url, body, userToken, errorContext = 'API Nova', { renovarToken = null } = {}) {
+  try {
+    console.log(`🌐 [${errorContext}] Llamando a API Nova...`);
+
+    const response = await axios.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${userToken}`,
+        Accept: 'application/json'
+      },
+      timeout: 15000
+    });
+
+    console.log(`✅ [${errorContext}] API Response: Status ${response.status}`);
+    console.log(`📊 [${errorContext}] Response data type: ${typeof response.data}, keys:`,
+      response.data && typeof response.data === 'object' ? Object.keys(response.data) : 'N/A');
+
+    return { success: true, data: response.data, status: response.status };
+  } catch (error) {
+    console.error(`❌ Error en ${errorContext}:`, error.message);
+
+    if (error.response) {
+      console.error(`   Status: ${error.response.status}`);
+      console.error(`   Data:`, error.response.data);
+    }
+
+    if (error.response?.status === 401) {
+      const nuevoToken = renovarToken ? await renovarToken(userToken) : null;
+      if (nuevoToken && nuevoToken !== userToken) {
+        console.log(`🔄 [${errorContext}] Token renovado, reintentando...`);
+        return await callNovaAPI(url, body, nuevoToken, errorContext);
+      }
+
+      return { success: false, error: 'Token expirado. Inicia sesión nuevamente.', status: 401 };
+    }
+
+    return { success: false, error: `Error en ${errorContext}: ${error.message}`, status: error.response?.status };
+  }
+}
+
+/**
+ * Extrae NumRI del token JWT
+ * @param {string} token - Token JWT (con o sin "Bearer ")
+ * @returns {number} NumRI o 7 (default)
+ */
+export function extractNumRIFromToken(token) {
+  if (!token) return 7;
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(token.replace(/^Bearer\s+/, '').split('.')[1], 'base64').toString()
+    );
+
+    const numRI = payload.NumRI || payload.numRI || payload.numri;
+    return (numRI && !isNaN(numRI) && numRI > 0) ? parseInt(numRI) : 7;
+  } catch {
+    return 7; // Default en caso de error
+  }
+}
+
+/**
+ * Expiración (claim exp) del token JWT de Nova
+ * @param {string} token - Token JWT (con o sin "Bearer ")
+ * @returns {number|null} Epoch en ms o null si el token no la declara
+ */
+export function getTokenExpiry(token) {
+  if (!token) return null;
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(token.replace(/^Bearer\s+/, '').split('.')[1], 'base64').toString()
+    );
+
+    const exp = Number(payload.exp);
+    return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Clave de usuario Nova (CveUsuario) desde userInfo
+ */
+export function getCveUsuario(userInfo) {
+  return userInfo?.CveUsuario || userInfo?.usuario;
+}
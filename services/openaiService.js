@@ -3,13 +3,161 @@ import 'dotenv/config';
 import OpenAI from 'openai';
 import { DateTime } from 'luxon';
 
-import CosmosService from './cosmosService.js';
-import ToolsService from './toolsService.js';
+import ToolsService, { ToolArgumentsError } from './toolsService.js';
 import MetricsService from './metricsService.js';
+import BotConfigService from './botConfigService.js';
+import { getStorageService } from './storageService.js';
+import CircuitBreaker from './circuitBreaker.js';
+import AIConfigService from './aiConfigService.js';
+import ContextBuilder from './contextBuilder.js';
+import PromptService from './promptService.js';
 
-const cosmosService = new CosmosService();
 const toolsService = new ToolsService();
 const metricsService = new MetricsService();
+const botConfigService = new BotConfigService();
+const promptService = new PromptService();
+const storage = getStorageService();
+
+const DEFAULT_BOT_NAME = 'NovaBot';
+
+// Productos de ahorro que el prompt de sistema nombra en el glosario
+const PRODUCTOS_AHORRO = 'Vista, Fijo 1M, Fijo 3M, Fijo 6M, FAP y Noviembre';
+
+// Límites del ciclo de herramientas (ver procesarHerramientas)
+const MAX_TOOL_ITERATIONS = parseInt(process.env.AI_MAX_TOOL_ITERATIONS, 10) || 5;
+const TOOL_TIME_BUDGET_MS = parseInt(process.env.AI_TOOL_TIME_BUDGET_MS, 10) || 90000;
+
+// Ejecución de tool_calls de una misma ronda: concurrencia y timeouts
+const TOOL_CONCURRENCY = parseInt(process.env.AI_TOOL_CONCURRENCY, 10) || 3;
+const TOOL_TIMEOUT_MS = parseInt(process.env.AI_TOOL_TIMEOUT_MS, 10) || 20000;
+const TOOL_TIMEOUTS = leerTimeoutsPorHerramienta(process.env.AI_TOOL_TIMEOUTS);
+
+/**
+ * Lee timeouts por herramienta desde JSON: {"buscar_documentos_nova": 30000}
+ */
+function leerTimeoutsPorHerramienta(json) {
+  if (!json) return {};
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn(`⚠️ AI_TOOL_TIMEOUTS inválido, se usa ${TOOL_TIMEOUT_MS}ms para todas: ${error.message}`);
+    return {};
+  }
+}
+
+// Reintentos ante 429/5xx/timeouts y circuit breaker por deployment (ver _crearCompletion)
+const AI_MAX_RETRIES = Math.max(0, parseInt(process.env.AI_MAX_RETRIES ?? '2', 10) || 0);
+const AI_RETRY_BASE_MS = parseInt(process.env.AI_RETRY_BASE_MS, 10) || 500;
+const AI_RETRY_MAX_MS = parseInt(process.env.AI_RETRY_MAX_MS, 10) || 8000;
+const AI_CIRCUIT_FAILURES = parseInt(process.env.AI_CIRCUIT_FAILURES, 10) || 5;
+const AI_CIRCUIT_COOLDOWN_MS = parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS, 10) || 30000;
+
+// Mensajes para el usuario cuando la IA falla (nunca se muestra el error interno)
+const MENSAJES_DEGRADADOS = {
+  es: {
+    saturado: '⏳ En este momento hay muchas consultas y no pude responderte. Intenta de nuevo en unos segundos.',
+    no_disponible: '⚠️ El asistente no está disponible temporalmente. Intenta de nuevo en unos minutos.',
+    tiempo_agotado: '⌛ La respuesta está tardando más de lo normal. Intenta de nuevo en un momento.',
+    contenido_filtrado: '🚫 No puedo responder a ese mensaje. Intenta reformular tu pregunta.',
+    error: '❌ Ocurrió un problema al procesar tu mensaje. Intenta de nuevo.'
+  },
+  en: {
+    saturado: '⏳ We are handling a lot of requests right now and could not answer. Please try again in a few seconds.',
+    no_disponible: '⚠️ The assistant is temporarily unavailable. Please try again in a few minutes.',
+    tiempo_agotado: '⌛ The answer is taking longer than usual. Please try again in a moment.',
+    contenido_filtrado: '🚫 I cannot answer that message. Please rephrase your question.',
+    error: '❌ Something went wrong while processing your message. Please try again.'
+  }
+};
+
+/**
+ * Mensaje amigable en el idioma del usuario (locale "es-MX", "en-US"...; default español)
+ * @param {string} codigo - saturado | no_disponible | tiempo_agotado | contenido_filtrado | error
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function mensajeDegradado(codigo, locale = null) {
+  const idioma = String(locale || 'es').slice(0, 2).toLowerCase();
+  const mensajes = MENSAJES_DEGRADADOS[idioma] || MENSAJES_DEGRADADOS.es;
+  return mensajes[codigo] || mensajes.error;
+}
+
+/**
+ * Falla de Azure OpenAI ya clasificada; `codigo` selecciona el mensaje para el usuario
+ */
+export class AIServiceError extends Error {
+  constructor(codigo, causa = null) {
+    super(`Azure OpenAI (${codigo}): ${causa?.message || 'sin detalle'}`);
+    this.name = 'AIServiceError';
+    this.codigo = codigo;
+    this.cause = causa;
+  }
+}
+
+/**
+ * Clasifica un error de la API de OpenAI
+ * @returns {Object} { codigo, reintentable, cambiarDestino }
+ */
+function clasificarError(error) {
+  const status = error?.status;
+  const code = error?.code || error?.error?.code;
+
+  if (status === 429) return { codigo: 'saturado', reintentable: true, cambiarDestino: true };
+  if (status === 408 || error?.name === 'APIConnectionTimeoutError') {
+    return { codigo: 'tiempo_agotado', reintentable: true, cambiarDestino: true };
+  }
+  if (!status || status >= 500) return { codigo: 'no_disponible', reintentable: true, cambiarDestino: true };
+  // Deployment mal configurado o sin permisos: otro destino puede funcionar
+  if ([401, 403, 404].includes(status)) return { codigo: 'no_disponible', reintentable: false, cambiarDestino: true };
+  if (code === 'content_filter') return { codigo: 'contenido_filtrado', reintentable: false, cambiarDestino: false };
+
+  return { codigo: 'error', reintentable: false, cambiarDestino: false };
+}
+
+/**
+ * Espera antes del siguiente intento: retry-after(-ms) si el servicio lo indica, si no backoff exponencial con jitter
+ * @returns {number} ms
+ */
+function calcularEspera(error, intento) {
+  const headers = error?.headers || {};
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const segundos = parseFloat(retryAfter);
+    if (Number.isFinite(segundos)) return segundos * 1000;
+
+    const fecha = Date.parse(retryAfter);
+    if (Number.isFinite(fecha)) return Math.max(0, fecha - Date.now());
+  }
+
+  const exponencial = AI_RETRY_BASE_MS * 2 ** intento;
+  return Math.min(exponencial + Math.random() * AI_RETRY_BASE_MS, AI_RETRY_MAX_MS);
+}
+
+/**
+ * Ejecuta tareas async con un máximo de `limite` en paralelo
+ * @param {Array<Function>} tareas - Funciones que regresan una promesa
+ * @param {number} limite - Máximo de tareas simultáneas
+ * @returns {Promise<Array>} Resultados en el mismo orden que las tareas
+ */
+async function ejecutarConConcurrencia(tareas, limite) {
+  const resultados = new Array(tareas.length);
+  let siguiente = 0;
+
+  const trabajador = async () => {
+    while (siguiente < tareas.length) {
+      const indice = siguiente++;
+      resultados[indice] = await tareas[indice]();
+    }
+  };
+
+  const trabajadores = Math.max(1, Math.min(limite, tareas.length));
+  await Promise.all(Array.from({ length: trabajadores }, trabajador));
+  return resultados;
+}
 
 /**
  * AzureOpenAIService - Servicio principal para interacción con GPT-4
@@ -30,11 +178,15 @@ export default class AzureOpenAIService {
     this.initialized = false;
     this.openaiAvailable = false;
     this.embeddingAvailable = false;
-    this.embeddingModel = 'text-embedding-3-large';
+    this.embeddingModel = null;
 
     // Obtener definiciones de herramientas desde ToolsService
     this.tools = toolsService.getToolDefinitions();
 
+    // Historial dentro del presupuesto de tokens; lo antiguo se resume con el modelo
+    this.contextBuilder = new ContextBuilder(storage, (resumenPrevio, mensajes, maxTokens) =>
+      this._resumirHistorial(resumenPrevio, mensajes, maxTokens));
+
     console.log('🤖 Inicializando Azure OpenAI Service...');
     this.initializeAzureOpenAI();
   }
@@ -43,34 +195,29 @@ export default class AzureOpenAIService {
     try {
       const apiKey = process.env.OPENAI_API_KEY;
       const endpoint = process.env.OPENAI_ENDPOINT;
-      const deploymentName = 'gpt-4.1-mini';
-      const apiVersion = '2025-01-01-preview';
-
-      // Configuración para embedding deployment
-      const embeddingDeployment = process.env.EMBEDDING_DEPLOYMENT || 'text-embedding-3-large';
-      this.embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
 
       if (!apiKey || !endpoint) {
         throw new Error('OPENAI_API_KEY y OPENAI_ENDPOINT requeridos');
       }
 
-      // Cliente para completions (chat)
-      this.openai = new OpenAI({
-        apiKey,
-        baseURL: `${endpoint}/openai/deployments/${deploymentName}`,
-        defaultQuery: { 'api-version': apiVersion },
-        defaultHeaders: {
-          'Content-Type': 'application/json',
-          'api-key': apiKey
-        },
-        timeout: 45000
-      });
+      // Deployments, api-version y parámetros de generación (validados; ver AIConfigService)
+      this.aiConfig = new AIConfigService();
+      const { chat, fallback, embeddings } = this.aiConfig.getConfig();
+
+      this.conexion = { endpoint, apiKey };
+      this.fallback = fallback
+        ? { ...fallback, endpoint: fallback.endpoint || endpoint, apiKey: process.env.OPENAI_FALLBACK_API_KEY || apiKey }
+        : null;
+
+      // Clientes de chat por deployment (se crean al primer uso de cada bot/canal)
+      this.destinos = new Map();
+      this._destinosPara(chat);
 
       // Cliente separado para embeddings
       this.embeddingClient = new OpenAI({
         apiKey,
-        baseURL: `${endpoint}/openai/deployments/${embeddingDeployment}`,
-        defaultQuery: { 'api-version': apiVersion },
+        baseURL: `${endpoint}/openai/deployments/${embeddings.deployment}`,
+        defaultQuery: { 'api-version': embeddings.apiVersion },
         defaultHeaders: {
           'Content-Type': 'application/json',
           'api-key': apiKey
@@ -78,15 +225,18 @@ export default class AzureOpenAIService {
         timeout: 30000
       });
 
-      this.deploymentName = deploymentName;
-      this.embeddingDeployment = embeddingDeployment;
+      this.deploymentName = chat.deployment;
+      this.embeddingDeployment = embeddings.deployment;
+      this.embeddingModel = embeddings.model;
       this.openaiAvailable = true;
       this.embeddingAvailable = true;
       this.initialized = true;
 
       console.log('✅ Azure OpenAI configurado correctamente');
-      console.log(`   • Modelo de chat: ${deploymentName}`);
-      console.log(`   • Modelo de embedding: ${embeddingDeployment}`);
+      console.log(`   • Modelo de chat: ${chat.deployment} (${chat.apiVersion})${fallback ? ` (respaldo: ${fallback.deployment})` : ''}`);
+      console.log(`   • Generación: temperature ${chat.temperature}, max tokens ${chat.maxTokens}/${chat.maxTokensFinal}`);
+      console.log(`   • Modelo de embedding: ${embeddings.deployment}`);
+      console.log(`   • Reintentos: ${AI_MAX_RETRIES}, circuito: ${AI_CIRCUIT_FAILURES} fallas / ${AI_CIRCUIT_COOLDOWN_MS}ms`);
       console.log(`   • Herramientas disponibles: ${this.tools.length}`);
     } catch (error) {
       console.error('❌ Error inicializando Azure OpenAI:', error.message);
@@ -96,6 +246,58 @@ export default class AzureOpenAIService {
     }
   }
 
+  /**
+   * Destinos de chat en orden de preferencia para unos parámetros de modelo:
+   * el deployment pedido y, si está configurado y es distinto, el de respaldo
+   * @param {Object} modelo - { deployment, apiVersion } (ver AIConfigService.resolver)
+   * @returns {Array<Object>} [{ nombre, deployment, apiVersion, client, breaker }]
+   */
+  _destinosPara(modelo) {
+    const { endpoint, apiKey } = this.conexion;
+    const destinos = [this._obtenerDestino('principal', endpoint, apiKey, modelo.deployment, modelo.apiVersion)];
+
+    if (this.fallback && this.fallback.deployment !== modelo.deployment) {
+      const { endpoint: fbEndpoint, apiKey: fbApiKey, deployment, apiVersion } = this.fallback;
+      destinos.push(this._obtenerDestino('respaldo', fbEndpoint, fbApiKey, deployment, apiVersion));
+    }
+
+    return destinos;
+  }
+
+  /**
+   * Cliente de chat para un deployment, con su propio circuit breaker (uno por deployment y api-version)
+   * Los reintentos del SDK se desactivan: los controla _crearCompletion.
+   * @returns {Object} { nombre, deployment, apiVersion, client, breaker }
+   */
+  _obtenerDestino(nombre, endpoint, apiKey, deployment, apiVersion) {
+    const clave = `${nombre}:${deployment}@${apiVersion}`;
+    if (this.destinos.has(clave)) return this.destinos.get(clave);
+
+    const destino = {
+      nombre,
+      deployment,
+      apiVersion,
+      client: new OpenAI({
+        apiKey,
+        baseURL: `${endpoint}/openai/deployments/${deployment}`,
+        defaultQuery: { 'api-version': apiVersion },
+        defaultHeaders: {
+          'Content-Type': 'application/json',
+          'api-key': apiKey
+        },
+        timeout: 45000,
+        maxRetries: 0
+      }),
+      breaker: new CircuitBreaker(`${nombre}:${deployment}`, {
+        failureThreshold: AI_CIRCUIT_FAILURES,
+        cooldownMs: AI_CIRCUIT_COOLDOWN_MS
+      })
+    };
+
+    this.destinos.set(clave, destino);
+    return destino;
+  }
+
   // ========================================
   // MÉTODO PRINCIPAL
   // ========================================
@@ -107,15 +309,26 @@ export default class AzureOpenAIService {
    * @param {string} userToken - Token JWT del usuario
    * @param {Object} userInfo - Información del usuario
    * @param {string} conversationId - ID de conversación (opcional)
-   * @param {string} userId - ID del usuario para Cosmos (Teams: "29:xxx", WebChat: token)
-   * @returns {Promise<Object>} { type, content, metadata }
+   * @param {string} userId - ID del usuario para la persistencia (Teams: "29:xxx", WebChat: token)
+   * @param {Object} options - Opciones adicionales
+   * @param {string} options.botId - ID del bot en config/bots.json (persona y herramientas); WebChat usa el perfil por defecto
+   * @param {Function} options.onEvent - Activa streaming: recibe (evento, datos) con
+   *   'tool_start' { id, name }, 'tool_end' { id, name, success }, 'delta' { content } y
+   *   'reset' {} (los deltas previos eran texto antes de llamar herramientas: se descartan)
+   * @param {string} options.locale - Idioma del usuario para mensajes de error ('es-MX', 'en-US'...)
+   * @param {Function} options.renovarToken - async (tokenRechazado) => token|null; las herramientas lo usan
+   *   ante un 401 de Nova (Teams: AuthService.refreshSessionToken)
+   * @returns {Promise<Object>} { type, content, metadata, attachments? } - attachments: adjuntos de las herramientas;
+   *   si la IA falla, content es un mensaje amigable y metadata = { error, degraded: true }
    */
-  async procesarMensaje(mensaje, historial = [], userToken = null, userInfo = null, conversationId = null, userId = null) {
+  async procesarMensaje(mensaje, historial = [], userToken = null, userInfo = null, conversationId = null, userId = null, options = {}) {
     try {
       if (!this.openaiAvailable) {
+        console.error('❌ Azure OpenAI no está disponible. Verifica la configuración.');
         return {
           type: 'text',
-          content: 'Azure OpenAI no está disponible. Verifica la configuración.'
+          content: mensajeDegradado('no_disponible', options.locale),
+          metadata: { error: 'no_disponible', degraded: true }
         };
       }
 
@@ -123,22 +336,32 @@ export default class AzureOpenAIService {
       const logUserId = userId || userInfo?.CveUsuario || userInfo?.usuario || 'unknown';
       console.log(`💬 [${logUserId}] Procesando mensaje: "${mensaje.substring(0, 50)}..."`);
 
-      // Preparar mensajes para OpenAI (pasamos userId explícito para Cosmos)
-      const messages = await this.prepararMensajes(mensaje, historial, userInfo, conversationId, userId);
+      // Persona y herramientas del bot que recibió el mensaje (filtradas por canal y perfil)
+      const perfilBot = this.obtenerPerfilBot(options.botId, {
+        canal: metricsService.detectChannel(userId || logUserId),
+        perfil: userInfo?.perfil ?? null
+      });
+
+      // Preparar mensajes para OpenAI (pasamos userId explícito para la persistencia)
+      const { messages, stats: contexto, promptVersion } = await this.prepararMensajes(mensaje, historial, userInfo, conversationId, userId, perfilBot);
 
-      // Configuración de la petición
+      // Configuración de la petición (deployment y parámetros según bot y canal)
+      const { modelo } = perfilBot;
       const requestConfig = {
-        model: this.deploymentName,
+        model: modelo.deployment,
         messages: messages,
-        temperature: 1.0,
-        max_completion_tokens: 3000,
-        tools: this.tools,
-        tool_choice: 'auto'
+        temperature: modelo.temperature,
+        max_completion_tokens: modelo.maxTokens
       };
 
+      if (perfilBot.tools.length > 0) {
+        requestConfig.tools = perfilBot.tools;
+        requestConfig.tool_choice = 'auto';
+      }
+
       // Llamada a OpenAI
-      const response = await this.openai.chat.completions.create(requestConfig);
-      const messageResponse = response.choices?.[0]?.message;
+      const response = await this._crearCompletion(requestConfig, options.onEvent, modelo);
+      const messageResponse = response.message;
 
       if (!messageResponse) {
         throw new Error('Respuesta vacía de Azure OpenAI');
@@ -152,19 +375,17 @@ export default class AzureOpenAIService {
           userToken,
           userInfo,
           conversationId,
-          userId  // ← Pasar userId completo para métricas
+          userId,  // ← Pasar userId completo para métricas
+          perfilBot,
+          options.onEvent,
+          { contexto, promptVersion, renovarToken: options.renovarToken }
         );
       }
 
       // Respuesta directa (sin herramientas)
       // 📊 Enviar métrica: mensaje sin herramientas
       try {
-        const metrica = {
-          canal: metricsService.detectChannel(userId || logUserId),
-          consulta_documento: false,
-          consulta_saldo: false,
-          consulta_tasas: false
-        };
+        const metrica = metricsService.crearMetricaDesdeToolCalls(userId || logUserId, [], {}, promptVersion);
         metricsService.enviarMetrica(metrica).catch(err => {
           // Silenciar errores de métricas
         });
@@ -176,19 +397,56 @@ export default class AzureOpenAIService {
         type: 'text',
         content: messageResponse.content || 'Respuesta vacía',
         metadata: {
+          botId: perfilBot.botId,
+          deployment: response.deployment,
+          promptVersion,
+          context: contexto,
           usage: response.usage
         }
       };
 
     } catch (error) {
       console.error(`❌ Error procesando mensaje:`, error);
+
+      // Al usuario solo un mensaje amigable; el detalle queda en los logs
+      const codigo = error instanceof AIServiceError ? error.codigo : 'error';
       return {
         type: 'text',
-        content: `Error: ${error.message}`
+        content: mensajeDegradado(codigo, options.locale),
+        metadata: { error: codigo, degraded: true }
       };
     }
   }
 
+  // ========================================
+  // PERFIL DEL BOT
+  // ========================================
+
+  /**
+   * Resuelve persona y herramientas de un bot declarado en config/bots.json
+   * @param {string} botId - ID del bot (null → perfil por defecto, p. ej. WebChat)
+   * @param {Object} filtros - { canal, perfil } para las restricciones de cada herramienta (opcional)
+   * @returns {Object} { botId, botName, systemPrompt, promptVersions, tools, modelo } - modelo: parámetros de chat efectivos
+   */
+  obtenerPerfilBot(botId = null, filtros = null) {
+    const botConfig = botId ? botConfigService.getBot(botId) : null;
+
+    if (botId && !botConfig) {
+      console.warn(`⚠️ Bot ${botId} no encontrado en la configuración, usando perfil por defecto`);
+    }
+
+    const persona = botConfig?.persona || {};
+
+    return {
+      botId: botConfig?.id || null,
+      botName: persona.botName || DEFAULT_BOT_NAME,
+      systemPrompt: persona.systemPrompt || null,
+      promptVersions: persona.promptVersions || {},
+      tools: toolsService.getToolDefinitions(botConfig?.tools, filtros),
+      modelo: this.aiConfig?.resolver(botConfig, filtros?.canal) ?? null
+    };
+  }
+
   // ========================================
   // PREPARACIÓN DE MENSAJES
   // ========================================
@@ -199,143 +457,87 @@ export default class AzureOpenAIService {
    * @param {Array} historial - Historial tradicional
    * @param {Object} userInfo - Info del usuario
    * @param {string} conversationId - ID de conversación
-   * @param {string} userId - ID del usuario para Cosmos (Teams: "29:xxx", WebChat: token)
-   * @returns {Promise<Array>} Mensajes en formato OpenAI
+   * @param {string} userId - ID del usuario para la persistencia (Teams: "29:xxx", WebChat: token)
+   * @param {Object} perfilBot - Perfil del bot (ver obtenerPerfilBot)
+   * @returns {Promise<Object>} { messages, stats, promptVersion } - mensajes en formato OpenAI, uso del presupuesto
+   *   (ver ContextBuilder) y versiones de las plantillas usadas ("sistema@v1+contexto@v1+seguridad@v1")
    */
-  async prepararMensajes(mensaje, historial, userInfo, conversationId, userId) {
-    let messages = [];
-
-    // System message con contexto actual
+  async prepararMensajes(mensaje, historial, userInfo, conversationId, userId, perfilBot = this.obtenerPerfilBot()) {
+    // System message desde las plantillas de prompts/ (versión activa o la del bot)
     const fechaActual = DateTime.now().setZone('America/Mexico_City');
     const userNumero = userInfo?.CveUsuario || userInfo?.usuario || 'desconocido';
-    const userContext = userInfo?.nombre
-      ? `Usuario: ${userInfo.nombre} (${userNumero})`
-      : `Usuario: ${userNumero}`;
-
-    const systemContent = `Tu nombre es NovaBot, y eres un Asistente virtual inteligente para la institución financiera Nova.
-
-CONTEXTO:
-• ${userContext}
-• Fecha/Hora: ${fechaActual.toFormat('dd/MM/yyyy HH:mm:ss')} (${fechaActual.zoneName})
-
-Responde únicamente en español. Si te dan las gracias, responde que es un gusto ayudar y si hay algo más en lo que puedas asistirlos. Utiliza el historial de la conversación como referencia. Utiliza sólo la información de referencia brindada. No respondas nada fuera de los documentos de referencia. No respondas preguntas que no sean de Nova y sus servicios financieros. Si no conoces la respuesta menciona que no cuentas con esa información. Utiliza de manera preferente la información de referencia con más exactitud y apego a la pregunta. Responde de manera muy concreta y puntual, busca hacer listados y presentar la información de una manera útil y accesible.
-Utiliza únicamente esta información de referencia para contestar las preguntas del usuario. Se concreto en tus respuestas y amable, busca contestar en pocas palabras. Cada extracto es independiente del anterior y no tienen relación.
-
-INSTRUCCIONES:
-• Sé profesional, preciso y útil
-• Para información de referencia de todo tipo, usa la herramienta buscar_documentos_nova, por ejemplo consultas de cómo usar el portal, servicios financieros, todo lo que sea refrencias y no este en otra herramienta.
-• Para procedimientos del portal web (cambiar contraseña, consultar perfil, cambiar datos) Y para consultas sobre servicios disponibles (qué préstamos existen, qué ahorros hay, existe préstamo/ahorro de X), usa SIEMPRE la herramienta consultar_procedimientos
-• Para consultas de saldo, usa consultar_saldo_usuario
-• Para tasas de interés, usa consultar_tasas_interes
-• Si no tienes información específica, indícalo claramente
-• NO inventes información que no esté en los documentos
-• Siempre que sean consultas de información usa la herramienta de buscar_documentos_nova
-
-IMPORTANTE - SEGURIDAD Y PRIVACIDAD:
-• NUNCA proporciones información financiera, saldos, o datos personales de otros usuarios
-• SOLO puedes consultar información del usuario autenticado actualmente (${userInfo?.CveUsuario || userInfo?.usuario || 'ninguno'})
-• Si el usuario menciona otro número de socio (esposo, familiar, compañero, etc.):
-  - RECHAZA la solicitud de manera educada
-  - Explica: "Por motivos de privacidad y seguridad, solo puedo consultar tu información. Si tu [familiar/esposo/etc.] necesita consultar su información, debe iniciar sesión con su propio usuario."
-• NUNCA uses herramientas (consultar_saldo_usuario, obtener_informacion_usuario) para otros números de socio
-• Esta restricción aplica incluso si el usuario proporciona el número de socio exacto de otra persona
-
-IMPORTANTE - NO CONFUNDIR CONCEPTOS:
-• NUNCA confundas "ahorro" con "seguro" - son productos completamente diferentes:
-  - AHORRO = productos de inversión (Vista, Fijo 1M, Fijo 3M, Fijo 6M, FAP, Noviembre)
-  - SEGURO = seguros voluntarios (auto, patrimonial, vida, etc.)
-• Si el usuario pregunta por un producto de AHORRO específico y NO encuentras información:
-  - NO menciones seguros como alternativa
-  - Di claramente: "No cuento con información sobre [nombre del ahorro]. Los tipos de ahorro disponibles son: Vista, Fijo 1M, Fijo 3M, Fijo 6M, FAP y Noviembre."
-• Si el usuario pregunta por un SEGURO específico y NO encuentras información:
-  - NO menciones ahorros como alternativa
-  - Di claramente: "No cuento con información detallada sobre ese seguro."
-• Verifica que los documentos encontrados correspondan EXACTAMENTE al tipo de producto preguntado
-
-IMPORTANTE - MANEJO DE SALDOS:
-• La herramienta consultar_saldo_usuario retorna TODAS las cuentas del usuario
-• Analiza la pregunta del usuario para determinar qué mostrar:
-  - Si pregunta por UNA cuenta específica (ej: "saldo de mi cuenta vista", "cuánto tengo en fijo 6M"):
-    → Muestra SOLO esa cuenta específica
-  - Si pregunta genéricamente (ej: "mi saldo", "cuánto dinero tengo"):
-    → Muestra todas las cuentas de forma clara y organizada
-  - Si pregunta por el total general:
-    → Suma los totales de todas las cuentas y presenta el resultado
-• NO hagas cálculos adicionales ni subtotales a menos que el usuario lo pida explícitamente
-• Usa los datos exactamente como vienen de la API
-
-IMPORTANTE - CLARIFICACIÓN DE INTENCIONES:
-• Si el usuario escribe palabras técnicas sueltas SIN contexto claro, NO asumas su intención
-• Palabras técnicas ambiguas: "tasas", "saldo", "documentos", "información", "cuenta", "interés"
-• EXCEPCIÓN: Saludos y cortesía son naturales: "hola", "gracias", "ok", "adiós", "buenos días" → responde normalmente
-• Cuando detectes ambigüedad TÉCNICA, pregunta para clarificar:
-  - Ejemplo: Usuario dice "tasas" → Pregunta: "¿Te refieres a las tasas de interés? ¿De qué año te gustaría consultarlas?"
-  - Ejemplo: Usuario dice "saldo" → Pregunta: "¿Quieres consultar tu saldo actual de cuentas?"
-  - Ejemplo: Usuario dice "documentos" → Pregunta: "¿Qué tipo de documentos buscas? ¿Sobre qué tema específico?"
-• Solo ejecuta herramientas cuando la intención sea CLARA:
-  - Claro ✅: "consulta mi saldo", "tasas del 2025", "busca documentos sobre préstamos"
-  - Ambiguo ❌: "saldo", "tasas", "documentos"
-
-IMPORTANTE - SIMULACIONES:
-• NUNCA realices cálculos ni simulaciones de inversión, ahorro o rendimientos
-• Si el usuario pide una simulación o cálculo de rendimientos, usa SIEMPRE la herramienta simulador_ahorros
-• NO intentes hacer matemáticas ni proyecciones financieras por tu cuenta
-• Redirige al usuario al simulador oficial del portal web de Nova
-
-IMPORTANTE - REDIRECCIÓN AL PORTAL WEB:
-• Si el usuario solicita realizar operaciones, trámites o acciones que NO puedes hacer desde el chat:
-  - Ejemplos: hacer transferencias, solicitar préstamos, actualizar datos personales, descargar estados de cuenta, realizar aportaciones, cambiar contraseña
-  → Indícale que debe ingresar al portal web de Nova para realizar esa operación
-• Formato de respuesta:
-  "Para [realizar esa operación], necesitas ingresar al portal web de Nova.
-   Ahí podrás [descripción específica del proceso].
-   Si necesitas ayuda con información o tienes preguntas sobre [tema], con gusto te puedo ayudar aquí."
-• Sé claro sobre las limitaciones: el chatbot es para consultas e información, NO para transacciones
-• SIEMPRE ofrece ayuda alternativa: "¿Hay algo más en lo que pueda asistirte por aquí?"`;
-
-    messages.push({ role: 'system', content: systemContent });
-
-    // ✅ V3: Historial de Cosmos DB usando user_id explícito
+    const versiones = perfilBot.promptVersions;
+
+    const contexto = promptService.render('contexto', {
+      usuario: userInfo?.nombre ? `Usuario: ${userInfo.nombre} (${userNumero})` : `Usuario: ${userNumero}`,
+      fechaHora: fechaActual.toFormat('dd/MM/yyyy HH:mm:ss'),
+      zonaHoraria: fechaActual.zoneName
+    }, versiones);
+
+    const seguridad = promptService.render('seguridad', {
+      usuarioActual: userInfo?.CveUsuario || userInfo?.usuario || 'ninguno'
+    }, versiones);
+
+    // Bots con systemPrompt propio: su prompt + contexto + reglas de seguridad comunes
+    const sistema = perfilBot.systemPrompt
+      ? promptService.render('sistema_personalizado', {
+        systemPrompt: perfilBot.systemPrompt,
+        contexto: contexto.texto,
+        reglasSeguridad: seguridad.texto
+      }, versiones)
+      : promptService.render('sistema', {
+        botName: perfilBot.botName,
+        contexto: contexto.texto,
+        reglasSeguridad: seguridad.texto,
+        productosAhorro: PRODUCTOS_AHORRO
+      }, versiones);
+
+    const systemContent = sistema.texto;
+    const promptVersion = [sistema.version, contexto.version, seguridad.version].join('+');
+
+    // Historial persistido (Cosmos DB o JSON local) + historial del canal, sin duplicados y dentro del presupuesto
     // Para Teams: userId = "29:xxx..." (Teams ID)
     // Para WebChat: userId = token JWT completo
-    if (cosmosService?.isAvailable?.() && userId) {
-      try {
-        const mensajesCosmos = await cosmosService.getLastMessages(userId, 10);
-
-        if (mensajesCosmos && mensajesCosmos.length > 0) {
-          // Convertir a formato OpenAI
-          const mensajesFormato = mensajesCosmos.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          }));
-          messages.push(...mensajesFormato);
-          console.log(`📚 Historial Cosmos cargado: ${mensajesFormato.length} mensajes (user_id: ${userId.substring(0,8)}...)`);
-        }
-      } catch (error) {
-        console.warn(`⚠️ Error obteniendo historial Cosmos: ${error.message}`);
-      }
-    }
+    const resultado = await this.contextBuilder.construir({
+      systemContent,
+      mensaje,
+      historial,
+      userId,
+      modelo: perfilBot.modelo || this.aiConfig.resolver(),
+      tools: perfilBot.tools
+    });
 
-    // Historial tradicional como fallback
-    if (Array.isArray(historial) && historial.length > 0) {
-      const recentHistory = historial.slice(-10);
-      recentHistory.forEach(item => {
-        if (item?.content?.trim() && item.role) {
-          messages.push({
-            role: item.role,
-            content: item.content.trim()
-          });
-        }
-      });
-    }
+    const { stats } = resultado;
+    console.log(`📚 Contexto: ${stats.historyMessages} mensajes de historial, ${stats.tokens}/${stats.budget} tokens${stats.summarized ? ' (con resumen)' : ''}, prompt ${promptVersion}`);
+
+    return { ...resultado, promptVersion };
+  }
 
-    // Mensaje actual del usuario
-    messages.push({
-      role: 'user',
-      content: mensaje.trim()
+  /**
+   * Resume mensajes antiguos de la conversación (ver ContextBuilder)
+   * @param {string|null} resumenPrevio - Resumen acumulado hasta ahora
+   * @param {Array} mensajes - [{ role, content }] que salen del contexto
+   * @param {number} maxTokens - Longitud máxima del resumen
+   * @returns {Promise<string>}
+   */
+  async _resumirHistorial(resumenPrevio, mensajes, maxTokens) {
+    const transcripcion = mensajes
+      .map(msg => `${msg.role === 'user' ? 'Usuario' : 'Asistente'}: ${msg.content}`)
+      .join('\n');
+
+    const response = await this._crearCompletion({
+      messages: [
+        { role: 'system', content: promptService.render('resumen', {}).texto },
+        {
+          role: 'user',
+          content: `${resumenPrevio ? `RESUMEN PREVIO:\n${resumenPrevio}\n\n` : ''}MENSAJES NUEVOS:\n${transcripcion}`
+        }
+      ],
+      temperature: 0.2,
+      max_completion_tokens: maxTokens
     });
 
-    return messages;
+    return response.message?.content || null;
   }
 
   // ========================================
@@ -343,90 +545,155 @@ IMPORTANTE - REDIRECCIÓN AL PORTAL WEB:
   // ========================================
 
   /**
-   * Procesa tool_calls ejecutando herramientas y obteniendo respuesta final
+   * Ciclo de herramientas acotado: ejecuta tool_calls y vuelve a ofrecer herramientas
+   * hasta que el modelo responda sin pedir más o se agote el presupuesto
+   *
+   * Límites (se cierra con una respuesta final sin herramientas):
+   * - AI_MAX_TOOL_ITERATIONS rondas de herramientas (default 5)
+   * - AI_TOOL_TIME_BUDGET_MS de tiempo total (default 90s)
+   * - Ciclo detectado: una ronda donde todas las llamadas repiten nombre + argumentos ya ejecutados
+   *
+   * Las llamadas de una misma ronda son independientes: se ejecutan en paralelo
+   * (AI_TOOL_CONCURRENCY, default 3) con timeout por herramienta, y sus resultados
+   * se envían al modelo en el orden original de tool_call_id.
+   *
    * @param {Object} messageResponse - Mensaje con tool_calls de OpenAI
    * @param {Array} mensajesPrevios - Mensajes previos del contexto
    * @param {string} userToken - Token JWT
    * @param {Object} userInfo - Info del usuario
    * @param {string} conversationId - ID de conversación
-   * @returns {Promise<Object>} Respuesta final formateada
+   * @param {string} fullUserId - ID completo del usuario (métricas)
+   * @param {Object} perfilBot - Perfil del bot (herramientas permitidas)
+   * @param {Function} onEvent - Callback de streaming (ver procesarMensaje)
+   * @param {Object} preparacion - { contexto, promptVersion } de prepararMensajes (se reportan en metadata)
+   *   y renovarToken de procesarMensaje
+   * @returns {Promise<Object>} Respuesta final formateada (metadata.steps con cada paso, attachments de las herramientas)
    */
-  async procesarHerramientas(messageResponse, mensajesPrevios, userToken, userInfo, conversationId, fullUserId) {
+  async procesarHerramientas(messageResponse, mensajesPrevios, userToken, userInfo, conversationId, fullUserId, perfilBot = this.obtenerPerfilBot(), onEvent = null, { contexto = null, promptVersion = null, renovarToken = null } = {}) {
     const userId = userInfo?.CveUsuario || userInfo?.usuario || 'unknown';
-    const resultados = [];
-    const toolResultsMap = {}; // Para guardar resultados por tool_call_id
-
-    console.log(`🔧 [${userId}] Procesando ${messageResponse.tool_calls.length} herramienta(s)`);
-
-    // Ejecutar cada tool call usando ToolsService
-    for (const call of messageResponse.tool_calls) {
-      const { function: fnCall, id } = call;
-      const { name, arguments: args } = fnCall;
 
-      try {
-        console.log(`   ⚙️ [${userId}] Ejecutando: ${name}`);
-        const parametros = JSON.parse(args || '{}');
-
-        // ✅ Delegar ejecución a ToolsService
-        const resultado = await toolsService.executeTool(
-          name,
-          parametros,
-          {
-            userToken,
-            userInfo
-          }
-        );
-
-        const resultadoString = typeof resultado === 'object' ? JSON.stringify(resultado, null, 2) : String(resultado);
+    // Contexto compartido por las rondas: si una herramienta renueva el token, las siguientes ya usan el nuevo
+    const contextoHerramientas = { userToken, userInfo };
+    if (renovarToken) {
+      contextoHerramientas.renovarToken = async (tokenRechazado) => {
+        const nuevo = await renovarToken(tokenRechazado);
+        if (nuevo) contextoHerramientas.userToken = nuevo;
+        return nuevo;
+      };
+    }
+    const { modelo } = perfilBot;
+    const inicio = Date.now();
+    const mensajes = [...mensajesPrevios];
+    const steps = [];
+    const adjuntos = [];
+    const llamadasEjecutadas = [];
+    const toolResultsMap = {}; // Para guardar resultados por tool_call_id
+    const firmasEjecutadas = new Set();
+    const permitidas = new Set(perfilBot.tools.map(tool => tool.function.name));
+
+    let actual = messageResponse;
+    let iteracion = 0;
+    let stopReason = 'completed';
+    let finalResponse;
+
+    while (actual.tool_calls?.length) {
+      iteracion++;
+      console.log(`🔧 [${userId}] Ronda ${iteracion}: ${actual.tool_calls.length} herramienta(s)`);
+
+      mensajes.push(actual);
+
+      // 1. Separar llamadas nuevas de repetidas (incluye duplicados dentro de la misma ronda)
+      const llamadas = actual.tool_calls.map(call => {
+        const firma = this._firmaLlamada(call.function.name, call.function.arguments);
+        const repetida = firmasEjecutadas.has(firma);
+        firmasEjecutadas.add(firma);
+        return { call, repetida };
+      });
+      const repetidas = llamadas.filter(l => l.repetida).length;
+
+      // 2. Ejecutar las nuevas en paralelo (resultados en el orden original)
+      const resultados = await ejecutarConConcurrencia(
+        llamadas.map(({ call, repetida }) => async () => {
+          if (repetida) return null;
+
+          const inicioPaso = Date.now();
+          const resultado = await this._ejecutarLlamada(call, permitidas, contextoHerramientas, userId, onEvent);
+          return { ...resultado, durationMs: Date.now() - inicioPaso };
+        }),
+        TOOL_CONCURRENCY
+      );
 
-        // Guardar resultado para métricas
-        toolResultsMap[id] = resultadoString;
+      // 3. Registrar pasos y responder cada tool_call_id
+      llamadas.forEach(({ call, repetida }, i) => {
+        const { function: fnCall, id } = call;
+        const { name, arguments: args } = fnCall;
+        const paso = { iteration: iteracion, tool: name, arguments: args || '{}' };
+
+        let contenido;
+        if (repetida) {
+          // Misma herramienta con los mismos argumentos: no se vuelve a ejecutar
+          contenido = `Llamada repetida: ${name} ya se ejecutó con estos argumentos. Usa el resultado anterior.`;
+          Object.assign(paso, { success: false, repeated: true, durationMs: 0 });
+          console.warn(`   🔁 [${userId}] Llamada repetida omitida: ${name}`);
+        } else {
+          contenido = resultados[i].content;
+          Object.assign(paso, { success: resultados[i].success, durationMs: resultados[i].durationMs });
+
+          toolResultsMap[id] = contenido;
+          llamadasEjecutadas.push(call);
+          adjuntos.push(...(resultados[i].adjuntos || []));
+        }
 
-        resultados.push({
-          tool_call_id: id,
-          content: resultadoString
-        });
+        steps.push(paso);
+        mensajes.push({ role: 'tool', tool_call_id: id, content: contenido });
+      });
 
-        console.log(`   ✅ [${userId}] ${name} ejecutado exitosamente`);
-        console.log(`   📤 [${userId}] Resultado enviado a OpenAI (${resultadoString.length} chars):`, resultadoString.substring(0, 300));
+      if (repetidas === actual.tool_calls.length) {
+        stopReason = 'loop_detected';
+      } else if (iteracion >= MAX_TOOL_ITERATIONS) {
+        stopReason = 'max_iterations';
+      } else if (Date.now() - inicio >= TOOL_TIME_BUDGET_MS) {
+        stopReason = 'time_budget';
+      }
 
-      } catch (error) {
-        console.error(`   ❌ [${userId}] Error ejecutando ${name}:`, error.message);
-        resultados.push({
-          tool_call_id: id,
-          content: `Error ejecutando ${name}: ${error.message}`
-        });
+      if (stopReason !== 'completed') {
+        console.warn(`⚠️ [${userId}] Ciclo de herramientas detenido (${stopReason}) tras ${iteracion} ronda(s)`);
+        break;
       }
+
+      // Siguiente ronda: el modelo puede encadenar otra herramienta o responder
+      finalResponse = await this._crearCompletion({
+        model: modelo.deployment,
+        messages: mensajes,
+        tools: perfilBot.tools,
+        tool_choice: 'auto',
+        temperature: modelo.temperature,
+        max_completion_tokens: modelo.maxTokensFinal
+      }, onEvent, modelo);
+
+      actual = finalResponse.message || { role: 'assistant', content: null };
     }
 
-    // Construir mensajes finales para OpenAI
-    const finalMessages = [
-      ...mensajesPrevios,
-      messageResponse,
-      ...resultados.map(r => ({
-        role: 'tool',
-        tool_call_id: r.tool_call_id,
-        content: r.content
-      }))
-    ];
-
-    // Llamada final a OpenAI para generar respuesta
-    const finalResponse = await this.openai.chat.completions.create({
-      model: this.deploymentName,
-      messages: finalMessages,
-      temperature: 1.0,
-      max_completion_tokens: 3500
-    });
+    // Presupuesto agotado: respuesta final sin herramientas con lo obtenido hasta ahora
+    if (stopReason !== 'completed') {
+      finalResponse = await this._crearCompletion({
+        model: modelo.deployment,
+        messages: mensajes,
+        temperature: modelo.temperature,
+        max_completion_tokens: modelo.maxTokensFinal
+      }, onEvent, modelo);
+    }
 
-    const finalContent = finalResponse.choices?.[0]?.message?.content || 'No se pudo generar respuesta final';
-    console.log(`🤖 [${userId}] Respuesta final de OpenAI (${finalContent.length} chars):`, finalContent.substring(0, 200));
+    const finalContent = finalResponse.message?.content || 'No se pudo generar respuesta final';
+    console.log(`🤖 [${userId}] Respuesta final de OpenAI (${finalContent.length} chars, ${iteracion} ronda(s)):`, finalContent.substring(0, 200));
 
     // 📊 Enviar métricas a Bubble.io (async sin await para no bloquear)
     try {
       const metrica = metricsService.crearMetricaDesdeToolCalls(
         fullUserId || userId,
-        messageResponse.tool_calls,
-        toolResultsMap
+        llamadasEjecutadas,
+        toolResultsMap,
+        promptVersion
       );
       metricsService.enviarMetrica(metrica).catch(err => {
         // Silenciar errores de métricas
@@ -438,13 +705,233 @@ IMPORTANTE - REDIRECCIÓN AL PORTAL WEB:
     return {
       type: 'text',
       content: finalContent,
+      attachments: adjuntos,
       metadata: {
-        toolsUsed: messageResponse.tool_calls.map(tc => tc.function.name),
+        botId: perfilBot.botId,
+        toolsUsed: [...new Set(llamadasEjecutadas.map(tc => tc.function.name))],
+        iterations: iteracion,
+        stopReason,
+        steps,
+        deployment: finalResponse.deployment,
+        promptVersion,
+        context: contexto,
         usage: finalResponse.usage
       }
     };
   }
 
+  /**
+   * Ejecuta una tool_call vía ToolsService
+   * @returns {Promise<Object>} { content, success, adjuntos } - content es lo que se envía al modelo
+   */
+  async _ejecutarLlamada(call, permitidas, contexto, userId, onEvent = null) {
+    const { function: fnCall, id } = call;
+    const { name, arguments: args } = fnCall;
+
+    onEvent?.('tool_start', { id, name });
+
+    try {
+      // El modelo solo ve las herramientas del bot, pero no confiamos en que respete la lista
+      if (!permitidas.has(name)) {
+        throw new Error(`Herramienta no permitida para este bot: ${name}`);
+      }
+
+      console.log(`   ⚙️ [${userId}] Ejecutando: ${name}`);
+
+      let parametros;
+      try {
+        parametros = JSON.parse(args || '{}');
+      } catch (error) {
+        throw new ToolArgumentsError(name, [{ campo: '(raíz)', mensaje: `JSON inválido: ${error.message}` }]);
+      }
+
+      // ✅ Delegar ejecución a ToolsService (con timeout por herramienta)
+      let resultado = await this._conTimeout(
+        toolsService.executeTool(name, parametros, contexto),
+        TOOL_TIMEOUTS[name] || TOOL_TIMEOUT_MS,
+        name
+      );
+      // Los adjuntos (imágenes, etc.) van al usuario, no al modelo
+      let adjuntos = [];
+      if (resultado && typeof resultado === 'object' && Array.isArray(resultado.adjuntos)) {
+        ({ adjuntos, ...resultado } = resultado);
+      }
+      const resultadoString = typeof resultado === 'object' ? JSON.stringify(resultado, null, 2) : String(resultado);
+
+      onEvent?.('tool_end', { id, name, success: true });
+      console.log(`   ✅ [${userId}] ${name} ejecutado exitosamente`);
+      console.log(`   📤 [${userId}] Resultado enviado a OpenAI (${resultadoString.length} chars):`, resultadoString.substring(0, 300));
+
+      return { content: resultadoString, success: true, adjuntos };
+    } catch (error) {
+      onEvent?.('tool_end', { id, name, success: false });
+      console.error(`   ❌ [${userId}] Error ejecutando ${name}:`, error.message);
+
+      // Argumentos inválidos: error estructurado para que el modelo corrija la llamada
+      if (error instanceof ToolArgumentsError) {
+        return { content: JSON.stringify(error.toToolResult()), success: false };
+      }
+
+      return { content: `Error ejecutando ${name}: ${error.message}`, success: false };
+    }
+  }
+
+  /**
+   * Rechaza si la promesa no termina en `ms` (la llamada subyacente no se cancela)
+   */
+  _conTimeout(promesa, ms, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tiempo de espera agotado (${ms}ms) en ${name}`)), ms);
+    });
+
+    return Promise.race([promesa, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Firma de una llamada (nombre + argumentos normalizados) para detectar ciclos
+   */
+  _firmaLlamada(name, args) {
+    try {
+      const parametros = JSON.parse(args || '{}');
+      const ordenados = Object.keys(parametros).sort().reduce((acc, key) => {
+        acc[key] = parametros[key];
+        return acc;
+      }, {});
+      return `${name}:${JSON.stringify(ordenados)}`;
+    } catch {
+      return `${name}:${args}`;
+    }
+  }
+
+  // ========================================
+  // LLAMADAS A OPENAI
+  // ========================================
+
+  /**
+   * Ejecuta un chat completion con reintentos, circuit breaker y deployment de respaldo
+   * - 429/408/5xx/timeouts: reintenta con backoff (respeta retry-after) hasta AI_MAX_RETRIES
+   * - Agotados los reintentos (o 401/403/404) pasa al siguiente destino; un circuito abierto se salta
+   * - Con streaming no se reintenta si ya se emitieron deltas
+   * @param {Object} requestConfig - Configuración de chat.completions.create
+   * @param {Function} onEvent - Callback de streaming (opcional)
+   * @param {Object} modelo - Parámetros efectivos del bot/canal (default: configuración global)
+   * @returns {Promise<Object>} { message, usage, deployment } con el mensaje completo (content y tool_calls)
+   * @throws {AIServiceError} Si ningún destino pudo responder
+   */
+  async _crearCompletion(requestConfig, onEvent = null, modelo = this.aiConfig.resolver()) {
+    let ultimo = { codigo: 'no_disponible', error: new Error('Todos los circuitos están abiertos') };
+
+    for (const destino of this._destinosPara(modelo)) {
+      if (!destino.breaker.allowRequest()) {
+        console.warn(`⚠️ Circuito abierto, se omite ${destino.nombre} (${destino.deployment})`);
+        continue;
+      }
+
+      for (let intento = 0; ; intento++) {
+        let emitido = false;
+        const onEventDestino = onEvent && ((evento, datos) => {
+          emitido = true;
+          onEvent(evento, datos);
+        });
+
+        try {
+          const resultado = await this._completionEn(destino, { ...requestConfig, model: destino.deployment }, onEventDestino);
+          destino.breaker.recordSuccess();
+          return { ...resultado, deployment: destino.deployment };
+        } catch (error) {
+          const { codigo, reintentable, cambiarDestino } = clasificarError(error);
+          ultimo = { codigo, error };
+          console.warn(`⚠️ Azure OpenAI ${destino.nombre} (intento ${intento + 1}): ${error.status || error.name} ${error.message}`);
+
+          // El servicio respondió (p. ej. 400): no es una falla del destino
+          if (!cambiarDestino) {
+            destino.breaker.recordSuccess();
+            throw new AIServiceError(codigo, error);
+          }
+
+          // Parte de la respuesta ya llegó al usuario: no se puede repetir
+          if (emitido) {
+            destino.breaker.recordFailure();
+            throw new AIServiceError(codigo, error);
+          }
+
+          const espera = calcularEspera(error, intento);
+          if (reintentable && intento < AI_MAX_RETRIES && espera <= AI_RETRY_MAX_MS) {
+            console.log(`🔁 Reintentando ${destino.nombre} en ${Math.round(espera)}ms`);
+            await new Promise(resolve => setTimeout(resolve, espera));
+            continue;
+          }
+
+          destino.breaker.recordFailure();
+          break;
+        }
+      }
+    }
+
+    throw new AIServiceError(ultimo.codigo, ultimo.error);
+  }
+
+  /**
+   * Una llamada de chat completion a un destino; con onEvent usa streaming y emite 'delta' por fragmento
+   * Si la ronda termina en tool_calls tras emitir texto, emite 'reset': ese texto no es la respuesta final
+   * @returns {Promise<Object>} { message, usage }
+   */
+  async _completionEn(destino, requestConfig, onEvent = null) {
+    if (!onEvent) {
+      const response = await destino.client.chat.completions.create(requestConfig);
+      return {
+        message: response.choices?.[0]?.message,
+        usage: response.usage
+      };
+    }
+
+    const stream = await destino.client.chat.completions.create({
+      ...requestConfig,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    let usage;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        message.content += delta.content;
+        onEvent('delta', { content: delta.content });
+      }
+
+      // Los tool_calls llegan fragmentados por índice: id y nombre una vez, argumentos en partes
+      for (const parcial of delta.tool_calls || []) {
+        const call = toolCalls[parcial.index] ||= {
+          id: '',
+          type: 'function',
+          function: { name: '', arguments: '' }
+        };
+        if (parcial.id) call.id = parcial.id;
+        if (parcial.function?.name) call.function.name += parcial.function.name;
+        if (parcial.function?.arguments) call.function.arguments += parcial.function.arguments;
+      }
+    }
+
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+      if (message.content) {
+        onEvent('reset', {});
+      } else {
+        message.content = null;
+      }
+    }
+
+    return { message, usage };
+  }
+
   // ========================================
   // INFORMACIÓN DEL SERVICIO
   // ========================================
@@ -456,4 +943,41 @@ IMPORTANTE - REDIRECCIÓN AL PORTAL WEB:
   isAvailable() {
     return this.openaiAvailable && this.initialized;
   }
+
+  /**
+   * Estado de los deployments de chat usados hasta ahora y sus circuitos
+   * @returns {Array<Object>} [{ nombre, deployment, apiVersion, state, failures, openedAt }]
+   */
+  getDeploymentsState() {
+    return [...(this.destinos?.values() || [])].map(destino => ({
+      nombre: destino.nombre,
+      deployment: destino.deployment,
+      apiVersion: destino.apiVersion,
+      ...destino.breaker.getState()
+    }));
+  }
+
+  /**
+   * Versiones de las plantillas de prompts (activa y disponibles)
+   * @returns {Object} { [plantilla]: { active, versions } }
+   */
+  getPromptVersions() {
+    return promptService.getVersions();
+  }
+
+  /**
+   * Parámetros de chat efectivos para un bot y canal (endpoints de status)
+   * @param {string} [botId] - null → perfil por defecto (WebChat)
+   * @param {string} [canal] - 'Teams' | 'WebChat'
+   * @returns {Object|null} { deployment, apiVersion, temperature, maxTokens, maxTokensFinal, contextTokens, fallback }
+   */
+  getModelConfig(botId = null, canal = null) {
+    if (!this.aiConfig) return null;
+
+    const botConfig = botId ? botConfigService.getBot(botId) : null;
+    return {
+      ...this.aiConfig.resolver(botConfig, canal),
+      fallback: this.fallback?.deployment || null
+    };
+  }
 }
@@ -0,0 +1,193 @@
+// services/promptService.js - Plantillas de prompts versionadas (prompts/)
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_PROMPTS_DIR = path.join(ROOT_DIR, 'prompts');
+
+const VARIABLE = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+/**
+ * Schema de prompts/manifest.json
+ * - active: versión que se usa por defecto (archivo prompts/<plantilla>/<versión>.md)
+ * - variables: las únicas que la plantilla puede usar y que el código debe proporcionar
+ */
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['templates'],
+  additionalProperties: false,
+  properties: {
+    templates: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^[a-z][a-z0-9_]*$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['active', 'variables'],
+        additionalProperties: false,
+        properties: {
+          description: { type: 'string' },
+          active: { type: 'string', pattern: '^v[0-9]+[a-z0-9_-]*$' },
+          variables: {
+            type: 'array',
+            items: { type: 'string', pattern: '^[a-zA-Z][a-zA-Z0-9_]*$' },
+            uniqueItems: true
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * PromptService - Carga, valida y renderiza las plantillas de prompts
+ *
+ * - Cada plantilla vive en prompts/<nombre>/<versión>.md con variables {{nombre}}
+ * - Al cargar se valida el manifest, que exista la versión activa y que ninguna
+ *   versión use variables no declaradas; si algo falla, el servidor no inicia
+ * - La versión activa se puede cambiar sin tocar código: PROMPT_VERSIONS (JSON)
+ *   o persona.promptVersions del bot en config/bots.json
+ *
+ * Singleton: todas las instancias comparten las plantillas cargadas.
+ */
+export default class PromptService {
+  constructor() {
+    if (PromptService.instance) {
+      return PromptService.instance;
+    }
+
+    this.promptsDir = process.env.PROMPTS_PATH
+      ? path.resolve(ROOT_DIR, process.env.PROMPTS_PATH)
+      : DEFAULT_PROMPTS_DIR;
+
+    const ajv = new Ajv({ allErrors: true });
+    this.validateSchema = ajv.compile(MANIFEST_SCHEMA);
+
+    this.load();
+    PromptService.instance = this;
+  }
+
+  /**
+   * Lee el manifest y todas las versiones de cada plantilla
+   * @throws {Error} Si el manifest es inválido, falta una versión o una plantilla usa variables no declaradas
+   */
+  load() {
+    const manifestPath = path.join(this.promptsDir, 'manifest.json');
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`${manifestPath} no se pudo leer: ${error.message}`);
+    }
+
+    if (!this.validateSchema(manifest)) {
+      const detalles = this.validateSchema.errors
+        .map(err => `${err.instancePath || '/'} ${err.message}`)
+        .join('; ');
+      throw new Error(`${manifestPath} inválido: ${detalles}`);
+    }
+
+    const activas = Object.fromEntries(Object.entries(manifest.templates).map(([nombre, t]) => [nombre, t.active]));
+    Object.assign(activas, this.leerVersionesEnv());
+
+    this.templates = {};
+    for (const [nombre, definicion] of Object.entries(manifest.templates)) {
+      const versiones = this.leerVersiones(nombre, definicion.variables);
+
+      if (!versiones[activas[nombre]]) {
+        throw new Error(`Prompt ${nombre}: no existe la versión activa "${activas[nombre]}" (disponibles: ${Object.keys(versiones).join(', ') || 'ninguna'})`);
+      }
+
+      this.templates[nombre] = { ...definicion, active: activas[nombre], versiones };
+    }
+
+    const resumen = Object.entries(this.templates).map(([nombre, t]) => `${nombre}@${t.active}`).join(', ');
+    console.log(`📝 Prompts cargados: ${resumen}`);
+  }
+
+  leerVersionesEnv() {
+    if (!process.env.PROMPT_VERSIONS) return {};
+
+    try {
+      return JSON.parse(process.env.PROMPT_VERSIONS);
+    } catch (error) {
+      throw new Error(`PROMPT_VERSIONS no es JSON válido: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Object} versión → texto
+   */
+  leerVersiones(nombre, variables) {
+    const dir = path.join(this.promptsDir, nombre);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Prompt ${nombre}: no existe el directorio ${dir}`);
+    }
+
+    const versiones = {};
+    for (const archivo of fs.readdirSync(dir).filter(f => f.endsWith('.md'))) {
+      const version = path.basename(archivo, '.md');
+      // Sin el salto de línea final que agregan los editores
+      const texto = fs.readFileSync(path.join(dir, archivo), 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+
+      const desconocidas = [...texto.matchAll(VARIABLE)]
+        .map(match => match[1])
+        .filter(variable => !variables.includes(variable));
+      if (desconocidas.length > 0) {
+        throw new Error(`Prompt ${nombre}@${version}: variables no declaradas en el manifest: ${[...new Set(desconocidas)].join(', ')}`);
+      }
+
+      versiones[version] = texto;
+    }
+
+    return versiones;
+  }
+
+  /**
+   * Renderiza una plantilla
+   * @param {string} nombre - Plantilla del manifest
+   * @param {Object} variables - Valores de todas las variables declaradas
+   * @param {Object} [versiones] - { [nombre]: versión } para usar una distinta a la activa (p. ej. por bot);
+   *   si la versión pedida no existe se usa la activa
+   * @returns {Object} { texto, version } - version: "<nombre>@<versión>"
+   * @throws {Error} Si la plantilla no existe o falta alguna variable
+   */
+  render(nombre, variables, versiones = {}) {
+    const template = this.templates[nombre];
+    if (!template) {
+      throw new Error(`Prompt ${nombre} no existe`);
+    }
+
+    let version = versiones?.[nombre] || template.active;
+    if (template.versiones[version] === undefined) {
+      console.warn(`⚠️ Prompt ${nombre}: no existe la versión "${version}", se usa ${template.active}`);
+      version = template.active;
+    }
+    const texto = template.versiones[version];
+
+    const faltantes = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+    if (faltantes.length > 0) {
+      throw new Error(`Prompt ${nombre}@${version}: faltan variables: ${faltantes.join(', ')}`);
+    }
+
+    // Una sola pasada: los valores no se vuelven a interpretar como plantilla
+    return {
+      texto: texto.replace(VARIABLE, (_, variable) => String(variables[variable])),
+      version: `${nombre}@${version}`
+    };
+  }
+
+  /**
+   * @returns {Object} { [nombre]: { active, versions } } para endpoints de status
+   */
+  getVersions() {
+    return Object.fromEntries(Object.entries(this.templates).map(([nombre, t]) => [
+      nombre,
+      { active: t.active, versions: Object.keys(t.versiones) }
+    ]));
+  }
+}
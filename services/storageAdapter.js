@@ -0,0 +1,280 @@
+// services/storageAdapter.js - Contrato común de persistencia (sesiones + mensajes)
+// Implementaciones: CosmosService (Azure Cosmos DB) y FileStorageService (JSON en disco)
+
+/** Inactividad máxima de una sesión (type: user) en segundos; cada actividad la extiende (sliding) */
+export const SESSION_TTL = (parseInt(process.env.SESSION_IDLE_MINUTES, 10) || 60) * 60;
+
+/** Duración máxima de una sesión desde el login en segundos, aunque haya actividad */
+export const SESSION_MAX_SECONDS = (parseInt(process.env.SESSION_MAX_HOURS, 10) || 8) * 3600;
+
+// Actividad más frecuente que esto no reescribe la sesión (segundos)
+const SESSION_TOUCH_INTERVAL = 60;
+
+/**
+ * TTL de la sesión a partir de ahora: la inactividad permitida sin pasar del máximo desde el login
+ * @param {string} loginAt - ISO del login
+ * @param {number} [ahora] - epoch ms
+ * @returns {number} Segundos (0 = la sesión llegó al máximo)
+ */
+export function sessionTtl(loginAt, ahora = Date.now()) {
+    const restante = Math.floor((Date.parse(loginAt) + SESSION_MAX_SECONDS * 1000 - ahora) / 1000);
+    return Math.max(0, Math.min(SESSION_TTL, Number.isNaN(restante) ? SESSION_TTL : restante));
+}
+
+/** TTL de mensajes (type: message) y del resumen de la conversación (type: summary) en segundos */
+export const MESSAGE_TTL = 86400;
+
+/** Longitud máxima del contenido guardado por mensaje (caracteres) */
+export const MESSAGE_MAX_CHARS = parseInt(process.env.MESSAGE_MAX_CHARS, 10) || 4000;
+
+/**
+ * Error de concurrencia optimista (eTag distinto al esperado)
+ */
+export class StorageConflictError extends Error {
+    constructor(id) {
+        super(`Conflicto de eTag al escribir "${id}"`);
+        this.name = 'StorageConflictError';
+        this.code = 412;
+    }
+}
+
+/**
+ * Falla al leer un documento (red, throttling, permisos): distinta de "no existe" (null),
+ * para que quien lee no confunda un error transitorio con la ausencia de estado
+ */
+export class StorageReadError extends Error {
+    constructor(id, causa) {
+        super(`Error leyendo "${id}": ${causa?.message || causa}`);
+        this.name = 'StorageReadError';
+        this.code = causa?.code;
+        this.cause = causa;
+    }
+}
+
+/**
+ * StorageAdapter - Clase base de los adaptadores de persistencia
+ *
+ * Todos los adaptadores comparten el mismo modelo de documentos:
+ * - Partición lógica: user_id (Teams: "29:xxx", WebChat: "webchat:<CveUsuario>")
+ * - type 'user': sesión/auth → id `user_${user_id}`, TTL SESSION_TTL renovado con la actividad
+ *   (touchUserSession) hasta SESSION_MAX_SECONDS desde loginAt
+ * - type 'message': historial → id `message_${user_id}_${epochMs}`, TTL MESSAGE_TTL
+ * - type 'summary': resumen de los mensajes antiguos → id `summary_${user_id}`, TTL MESSAGE_TTL
+ * - type 'loginguard': intentos de login fallidos → id = user_id = `loginguard_<tipo>_<hash>` (LoginGuard)
+ * - type 'audit': bitácora de seguridad → partición `audit_<AAAA-MM-DD>` (AuditService)
+ * - Un documento expira cuando `_ts + ttl` (segundos) queda en el pasado
+ *
+ * Los métodos nunca lanzan: ante errores registran el problema y regresan
+ * null / [] / false / 0 según el caso, igual que el servicio de Cosmos original.
+ * Excepciones: upsertDocument con ifMatch o createOnly lanza StorageConflictError,
+ * getDocument lanza StorageReadError si la lectura falla (un documento inexistente es null),
+ * y touchUserSession propaga los errores de lectura y de escritura que no son conflictos.
+ */
+export default class StorageAdapter {
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    isAvailable() {
+        return false;
+    }
+
+    // ========================================
+    // GESTIÓN DE SESIONES/AUTH
+    // ========================================
+
+    /**
+     * Crea sesión de usuario (login). Si ya existe, la actualiza.
+     * @param {string} usuario - ID del usuario
+     * @param {object} userInfo - { usuario, nombre, paterno, materno, token }
+     * @returns {Promise<object|null>}
+     */
+    async createUserSession(usuario, userInfo) {
+        throw new Error(`${this.provider}: createUserSession no implementado`);
+    }
+
+    /**
+     * Obtiene sesión vigente del usuario
+     * @param {string} usuario - ID del usuario
+     * @returns {Promise<object|null>} - Documento de sesión o null si expiró
+     */
+    async getUserSession(usuario) {
+        throw new Error(`${this.provider}: getUserSession no implementado`);
+    }
+
+    /**
+     * Elimina sesión (logout)
+     * @param {string} usuario - ID del usuario
+     * @returns {Promise<boolean>}
+     */
+    async deleteUserSession(usuario) {
+        throw new Error(`${this.provider}: deleteUserSession no implementado`);
+    }
+
+    /**
+     * Extiende la sesión por actividad (sliding) sin pasar de SESSION_MAX_SECONDS desde el login
+     * Sin cambios y con actividad reciente (< SESSION_TOUCH_INTERVAL) no reescribe el documento.
+     * @param {string} usuario - ID del usuario
+     * @param {object} [cambios] - Campos a actualizar (p. ej. { token } renovado)
+     * @returns {Promise<object|null>} Sesión vigente o null si no existe o llegó al máximo (quien llama la elimina)
+     * @throws {StorageReadError} Si la lectura falla; también propaga errores de escritura que no son conflicto
+     */
+    async touchUserSession(usuario, cambios = {}) {
+        if (!this.isAvailable()) return null;
+
+        const session = await this.getDocument(usuario, `user_${usuario}`);
+        if (session?.type !== 'user') return null;
+
+        const ahora = Date.now();
+        const ttl = sessionTtl(session.loginAt, ahora);
+        if (ttl <= 0) {
+            console.log(`⌛ [${usuario}] Sesión al máximo de ${SESSION_MAX_SECONDS / 3600}h desde el login`);
+            return null;
+        }
+
+        const sinCambios = Object.keys(cambios).length === 0;
+        if (sinCambios && ahora - (Date.parse(session.lastActivity) || 0) < SESSION_TOUCH_INTERVAL * 1000) {
+            return session;
+        }
+
+        try {
+            const actualizada = await this.upsertDocument({
+                ...session,
+                ...cambios,
+                lastActivity: new Date(ahora).toISOString(),
+                ttl
+            }, { ifMatch: session._etag });
+
+            return actualizada || session;
+        } catch (error) {
+            // Otro mensaje del mismo usuario la extendió al mismo tiempo
+            if (error instanceof StorageConflictError) {
+                return sinCambios ? session : await this.touchUserSession(usuario, cambios);
+            }
+            throw error;
+        }
+    }
+
+    // ========================================
+    // GESTIÓN DE MENSAJES
+    // ========================================
+
+    /**
+     * Guarda mensaje del historial
+     * @param {string} usuario - ID del usuario
+     * @param {string} role - 'user' | 'assistant'
+     * @param {string} content - Contenido del mensaje
+     * @returns {Promise<object|null>}
+     */
+    async saveMessage(usuario, role, content) {
+        throw new Error(`${this.provider}: saveMessage no implementado`);
+    }
+
+    /**
+     * Obtiene últimos N mensajes vigentes en orden cronológico
+     * @param {string} usuario - ID del usuario
+     * @param {number} limit - Número de mensajes
+     * @returns {Promise<Array>} - [{role, content, timestamp}]
+     */
+    async getLastMessages(usuario, limit = 10) {
+        throw new Error(`${this.provider}: getLastMessages no implementado`);
+    }
+
+    /**
+     * Elimina el historial del usuario y su resumen (la sesión se conserva)
+     * @param {string} usuario - ID del usuario
+     * @returns {Promise<number>} - Número de mensajes eliminados
+     */
+    async clearUserMessages(usuario) {
+        throw new Error(`${this.provider}: clearUserMessages no implementado`);
+    }
+
+    /**
+     * Obtiene sesión + mensajes del usuario (diagnóstico)
+     * @param {string} usuario - ID del usuario
+     * @returns {Promise<{session: object, messages: Array}>}
+     */
+    async getUserData(usuario) {
+        throw new Error(`${this.provider}: getUserData no implementado`);
+    }
+
+    // ========================================
+    // DOCUMENTOS GENÉRICOS
+    // ========================================
+    // Para otros tipos de documento (p. ej. 'botstate') en la misma partición /user_id.
+    // Todo documento incluye `_etag` para concurrencia optimista.
+
+    /**
+     * Lee un documento vigente por partición e id
+     * @param {string} partitionKey - Valor de user_id
+     * @param {string} id - ID del documento
+     * @returns {Promise<object|null>} null si no existe o expiró
+     * @throws {StorageReadError} Si la lectura falla
+     */
+    async getDocument(partitionKey, id) {
+        throw new Error(`${this.provider}: getDocument no implementado`);
+    }
+
+    /**
+     * Crea o reemplaza un documento (doc.user_id es la partición)
+     * @param {object} doc - Documento con id, user_id y type
+     * @param {object} options
+     * @param {string} [options.ifMatch] - eTag esperado; si no coincide lanza StorageConflictError
+     * @param {boolean} [options.createOnly] - Solo crea; si el documento ya existe lanza StorageConflictError
+     * @returns {Promise<object|null>} Documento guardado (con `_etag`) o null si falló
+     */
+    async upsertDocument(doc, options = {}) {
+        throw new Error(`${this.provider}: upsertDocument no implementado`);
+    }
+
+    /**
+     * Elimina un documento (no existe → true)
+     * @param {string} partitionKey - Valor de user_id
+     * @param {string} id - ID del documento
+     * @returns {Promise<boolean>}
+     */
+    async deleteDocument(partitionKey, id) {
+        throw new Error(`${this.provider}: deleteDocument no implementado`);
+    }
+
+    /**
+     * Obtiene últimos mensajes separados por rol (5 user + 5 assistant)
+     * @param {string} usuario - ID del usuario
+     * @returns {Promise<{userMessages: Array, assistantMessages: Array}>}
+     */
+    async getLastMessagesByRole(usuario) {
+        if (!this.isAvailable()) {
+            return { userMessages: [], assistantMessages: [] };
+        }
+
+        try {
+            const allMessages = await this.getLastMessages(usuario, 20);
+
+            const userMessages = allMessages
+                .filter(m => m.role === 'user')
+                .slice(-5);  // Últimos 5
+
+            const assistantMessages = allMessages
+                .filter(m => m.role === 'assistant')
+                .slice(-5);  // Últimos 5
+
+            console.log(`📊 [${usuario}] Mensajes por rol: ${userMessages.length} user, ${assistantMessages.length} assistant`);
+
+            return { userMessages, assistantMessages };
+        } catch (error) {
+            console.error(`❌ [${usuario}] Error obteniendo mensajes por rol:`, error.message);
+            return { userMessages: [], assistantMessages: [] };
+        }
+    }
+
+    /**
+     * Estadísticas del adaptador
+     * @returns {object}
+     */
+    getStats() {
+        return {
+            provider: this.provider,
+            available: this.isAvailable()
+        };
+    }
+}
@@ -0,0 +1,51 @@
+// services/storageService.js - Selección del adaptador de persistencia
+import 'dotenv/config';
+import CosmosService from './cosmosService.js';
+import FileStorageService from './fileStorageService.js';
+
+let instance = null;
+
+/**
+ * Obtiene el adaptador de persistencia compartido (singleton)
+ *
+ * STORAGE_PROVIDER:
+ * - 'cosmos': Azure Cosmos DB (requiere COSMOS_DB_*)
+ * - 'file': JSON local (FILE_STORAGE_PATH, default .data/novabot-storage.json)
+ * - 'auto' (default): Cosmos si está configurado, si no JSON local
+ *
+ * @returns {import('./storageAdapter.js').default}
+ */
+export function getStorageService() {
+    if (instance) return instance;
+
+    const provider = (process.env.STORAGE_PROVIDER || 'auto').toLowerCase();
+
+    switch (provider) {
+        case 'cosmos':
+            instance = new CosmosService();
+            break;
+
+        case 'file':
+            instance = new FileStorageService();
+            break;
+
+        case 'auto': {
+            const cosmos = new CosmosService();
+            if (cosmos.isAvailable()) {
+                instance = cosmos;
+            } else {
+                console.warn('⚠️ Cosmos DB no disponible - usando almacenamiento local (JSON)');
+                instance = new FileStorageService();
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`STORAGE_PROVIDER inválido: ${provider} (usa cosmos, file o auto)`);
+    }
+
+    console.log(`💾 Persistencia: ${instance.provider}`);
+    return instance;
+}
+
+export default getStorageService;
@@ -0,0 +1,123 @@
+// services/toolRegistry.js - Registro de herramientas con auto-descubrimiento
+// Cada archivo de services/tools/ (excepto los que empiezan con "_") es una herramienta
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Ajv from 'ajv';
+
+const TOOLS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'tools');
+
+// Validación de argumentos: el modelo a veces manda "2025" en vez de 2025 u omite defaults
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+
+/**
+ * Contrato de un módulo de herramienta (export default):
+ * @typedef {Object} ToolModule
+ * @property {string} name - Nombre de la función para OpenAI
+ * @property {string} description - Descripción para el modelo
+ * @property {Object} parameters - JSON Schema de los parámetros
+ * @property {Function} handler - async (params, context) => string|Object; context = { userToken, userInfo, renovarToken? }
+ *   Si el resultado es un objeto con `adjuntos` ([{ contentType, contentUrl, name }]), estos se envían
+ *   al usuario junto con la respuesta final y no se incluyen en lo que recibe el modelo.
+ * @property {boolean} [requiresAuth=false] - Requiere token del usuario
+ * @property {Array<string>} [channels=['*']] - Canales permitidos ('Teams', 'WebChat')
+ * @property {Array<string>} [perfiles=['*']] - Perfiles de WebChat permitidos
+ * @property {string|null} [metricsTag=null] - Bandera de métricas (p. ej. 'consulta_saldo')
+ * @property {string} [progressMessage] - Mensaje informativo mientras se ejecuta (Teams)
+ * @property {Object|null} [cache=null] - { ttl (segundos), scope: 'global'|'user' } para cachear resultados
+ *   por argumentos (namespace "tool:<name>"); usar 'user' si el resultado depende del usuario
+ */
+
+const REQUIRED_FIELDS = {
+  name: 'string',
+  description: 'string',
+  parameters: 'object',
+  handler: 'function'
+};
+
+/**
+ * Valida un módulo, completa valores por defecto y compila su JSON Schema
+ * @throws {Error} Si falta un campo obligatorio o `parameters` no es un schema válido
+ */
+function normalizarHerramienta(tool, archivo) {
+  for (const [campo, tipo] of Object.entries(REQUIRED_FIELDS)) {
+    if (typeof tool?.[campo] !== tipo || tool[campo] === null) {
+      throw new Error(`Herramienta inválida en ${archivo}: "${campo}" debe ser ${tipo}`);
+    }
+  }
+
+  let validate;
+  try {
+    validate = ajv.compile(tool.parameters);
+  } catch (error) {
+    throw new Error(`Herramienta inválida en ${archivo}: "parameters" no es un JSON Schema válido (${error.message})`);
+  }
+
+  return {
+    requiresAuth: false,
+    channels: ['*'],
+    perfiles: ['*'],
+    metricsTag: null,
+    progressMessage: null,
+    cache: null,
+    ...tool,
+    validate,
+    file: archivo
+  };
+}
+
+/**
+ * Carga todas las herramientas del directorio (orden alfabético de archivo)
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function cargarHerramientas(dir = TOOLS_DIR) {
+  const archivos = fs.readdirSync(dir)
+    .filter(archivo => archivo.endsWith('.js') && !archivo.startsWith('_'))
+    .sort();
+
+  const registro = new Map();
+
+  for (const archivo of archivos) {
+    const { default: modulo } = await import(pathToFileURL(path.join(dir, archivo)).href);
+    const tool = normalizarHerramienta(modulo, archivo);
+
+    if (registro.has(tool.name)) {
+      throw new Error(`Herramienta duplicada "${tool.name}" en ${archivo} y ${registro.get(tool.name).file}`);
+    }
+    registro.set(tool.name, tool);
+  }
+
+  console.log(`🧰 Herramientas registradas (${registro.size}): ${[...registro.keys()].join(', ')}`);
+  return registro;
+}
+
+const registro = await cargarHerramientas();
+
+/**
+ * @param {string} name
+ * @returns {Object|undefined} Herramienta registrada
+ */
+export function getTool(name) {
+  return registro.get(name);
+}
+
+/**
+ * @returns {Array<Object>} Todas las herramientas registradas
+ */
+export function getTools() {
+  return [...registro.values()];
+}
+
+/**
+ * Indica si la herramienta aplica a un canal/perfil (['*'] = todos)
+ * Un canal o perfil desconocido solo accede a herramientas sin restricción.
+ * @param {Object} tool
+ * @param {Object} filtros - { canal, perfil }
+ * @returns {boolean}
+ */
+export function isToolAllowed(tool, { canal = null, perfil = null } = {}) {
+  const permite = (lista, valor) =>
+    lista.includes('*') || (valor !== null && valor !== undefined && lista.includes(String(valor)));
+
+  return permite(tool.channels, canal) && permite(tool.perfiles, perfil);
+}
@@ -0,0 +1,69 @@
+// services/tools/buscarDocumentosNova.js - Búsqueda en Azure Search (vectorial + textual)
+import DocumentService from '../documentService.js';
+
+const documentService = new DocumentService();
+
+/**
+ * Busca en documentos Nova; compartido con consultar_procedimientos
+ * @param {string} consulta - Término de búsqueda
+ * @param {Object} userInfo - Info del usuario
+ * @param {string} userToken - Token JWT del usuario
+ * @returns {Promise<string>} Resultados de búsqueda
+ */
+export async function buscarDocumentosNova(consulta, userInfo, userToken) {
+  const userId = userInfo?.CveUsuario || userInfo?.usuario || 'unknown';
+
+  try {
+    if (!documentService?.isAvailable?.()) {
+      return 'Error: Servicio de búsqueda de documentos no disponible. Verifica la configuración de Azure Search.';
+    }
+
+    console.log(`[${userId}] Buscando en documentos: "${consulta}"`);
+
+    // Pasar perfil si existe (WebChat), token y numSocio (Teams)
+    const resultado = await documentService.buscarDocumentos(consulta, userId, {
+      perfil: userInfo?.perfil || null,  // ← WebChat pasa perfil explícito
+      userToken: userToken,               // ← Token para Teams
+      numSocio: userInfo?.CveUsuario || userInfo?.usuario  // ← NumSocio
+    });
+
+    if (!resultado || typeof resultado !== 'string') {
+      return 'No se encontró información relevante en los documentos.';
+    }
+
+    if (resultado.length < 50) {
+      return 'No se encontraron documentos relevantes para la consulta.';
+    }
+
+    return resultado;
+
+  } catch (error) {
+    console.error(`[${userId}] Error buscando documentos:`, error.message);
+    return `Error en búsqueda de documentos: ${error.message}`;
+  }
+}
+
+export default {
+  name: 'buscar_documentos_nova',
+  description: 'Busca información específica en documentación interna de Nova (APIs, políticas, procedimientos, uso del portal, contraseñas)',
+  parameters: {
+    type: 'object',
+    properties: {
+      consulta: {
+        type: 'string',
+        description: 'Término específico a buscar en la documentación'
+      }
+    },
+    required: ['consulta']
+  },
+  requiresAuth: false,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_documento',
+  progressMessage: '🔎 Buscando en documentos…',
+  cache: { ttl: 1800, scope: 'user' }, // Resultados filtrados por el perfil del usuario
+
+  async handler(params, { userInfo, userToken }) {
+    return await buscarDocumentosNova(params.consulta, userInfo, userToken);
+  }
+};
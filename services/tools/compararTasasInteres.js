@@ -0,0 +1,238 @@
+// services/tools/compararTasasInteres.js - Comparación y tendencia de tasas en un rango de años
+import { DateTime } from 'luxon';
+import { COLUMNAS_TASAS, MESES, numeroDeMes, obtenerTasas } from './consultarTasasInteres.js';
+import { redondear } from '../calculosFinancieros.js';
+
+const ZONA = 'America/Mexico_City';
+
+// Servicio de gráficas (Chart.js por URL); opcional: sin configurar no hay gráficas
+// (los datos de la gráfica viajan en la URL al servicio)
+const CHART_SERVICE_URL = process.env.CHART_SERVICE_URL || '';
+
+// Límites de la gráfica: más series, puntos o una URL más larga → sin gráfica
+const MAX_SERIES_GRAFICA = 5;
+const MAX_PUNTOS_GRAFICA = 60;
+const MAX_URL_GRAFICA = 8000;
+
+// Con más meses que esto la tabla se resume por año
+const MAX_FILAS_MENSUALES = 24;
+
+/**
+ * Matriz periodo × producto a partir de las respuestas por año
+ * @param {Array<Object>} anios - [{ anio, tasas }]
+ * @param {Array<string>} productos - Claves de COLUMNAS_TASAS
+ * @returns {Array<Object>} [{ periodo: 'AAAA-MM', anio, mes, [producto]: tasa|null }] en orden cronológico
+ */
+export function construirMatriz(anios, productos) {
+  const filas = [];
+
+  for (const { anio, tasas } of anios) {
+    for (const fila of tasas || []) {
+      const mes = numeroDeMes(fila.Mes);
+      if (!mes) continue;
+
+      const registro = { periodo: `${anio}-${String(mes).padStart(2, '0')}`, anio, mes };
+      for (const producto of productos) {
+        const valor = parseFloat(fila[COLUMNAS_TASAS[producto]]);
+        registro[producto] = Number.isFinite(valor) ? valor : null;
+      }
+      filas.push(registro);
+    }
+  }
+
+  return filas.sort((a, b) => a.periodo.localeCompare(b.periodo));
+}
+
+/**
+ * Mínimo, máximo, promedio y variaciones de un producto
+ * Las variaciones se expresan en puntos porcentuales.
+ * @returns {Object|null} null si el producto no tiene tasas en el rango
+ */
+export function calcularEstadisticas(matriz, producto) {
+  const puntos = matriz
+    .filter(fila => fila[producto] !== null)
+    .map(fila => ({ periodo: fila.periodo, anio: fila.anio, valor: fila[producto] }));
+
+  if (puntos.length === 0) return null;
+
+  const promedio = (lista) => redondear(lista.reduce((suma, p) => suma + p.valor, 0) / lista.length);
+  const minimo = puntos.reduce((min, p) => (p.valor < min.valor ? p : min));
+  const maximo = puntos.reduce((max, p) => (p.valor > max.valor ? p : max));
+  const primero = puntos[0];
+  const ultimo = puntos.at(-1);
+
+  const porAnio = [];
+  for (const anio of [...new Set(puntos.map(p => p.anio))]) {
+    const delAnio = puntos.filter(p => p.anio === anio);
+    const anterior = porAnio.at(-1);
+    const prom = promedio(delAnio);
+    porAnio.push({
+      anio,
+      promedio: prom,
+      variacionVsAnioAnterior: anterior ? redondear(prom - anterior.promedio) : null
+    });
+  }
+
+  return {
+    minimo: { valor: minimo.valor, periodo: minimo.periodo },
+    maximo: { valor: maximo.valor, periodo: maximo.periodo },
+    promedio: promedio(puntos),
+    primero: { valor: primero.valor, periodo: primero.periodo },
+    ultimo: { valor: ultimo.valor, periodo: ultimo.periodo },
+    variacionTotal: redondear(ultimo.valor - primero.valor),
+    porAnio
+  };
+}
+
+/**
+ * Tabla Markdown compacta: mensual si el rango es corto, promedios anuales si es largo
+ * @returns {string}
+ */
+function construirTabla(matriz, productos, estadisticas) {
+  const encabezado = `| Periodo | ${productos.join(' | ')} |\n|---|${productos.map(() => '---').join('|')}|\n`;
+  const celda = (valor) => (valor === null || valor === undefined ? '—' : `${valor}%`);
+
+  if (matriz.length <= MAX_FILAS_MENSUALES) {
+    return encabezado + matriz
+      .map(fila => `| ${MESES[fila.mes - 1].slice(0, 3)} ${fila.anio} | ${productos.map(p => celda(fila[p])).join(' | ')} |`)
+      .join('\n');
+  }
+
+  const anios = [...new Set(matriz.map(fila => fila.anio))];
+  return encabezado.replace('Periodo', 'Año (promedio)') + anios
+    .map(anio => `| ${anio} | ${productos.map(p =>
+      celda(estadisticas[p]?.porAnio.find(a => a.anio === anio)?.promedio)).join(' | ')} |`)
+    .join('\n');
+}
+
+/**
+ * URL de una gráfica de líneas (una serie por producto)
+ * @returns {string|null} null sin servicio configurado o fuera de los límites
+ */
+export function construirGrafica(matriz, productos, titulo) {
+  if (!CHART_SERVICE_URL || matriz.length === 0) return null;
+
+  if (productos.length > MAX_SERIES_GRAFICA || matriz.length > MAX_PUNTOS_GRAFICA) {
+    console.warn(`⚠️ Gráfica omitida: ${productos.length} series × ${matriz.length} puntos (máx. ${MAX_SERIES_GRAFICA} × ${MAX_PUNTOS_GRAFICA})`);
+    return null;
+  }
+
+  const config = {
+    type: 'line',
+    data: {
+      labels: matriz.map(fila => `${MESES[fila.mes - 1].slice(0, 3)} ${String(fila.anio).slice(2)}`),
+      datasets: productos.map(producto => ({
+        label: producto,
+        data: matriz.map(fila => fila[producto]),
+        fill: false,
+        spanGaps: true
+      }))
+    },
+    options: {
+      title: { display: true, text: titulo },
+      scales: { yAxes: [{ scaleLabel: { display: true, labelString: '% anual' } }] }
+    }
+  };
+
+  const params = new URLSearchParams({ c: JSON.stringify(config), w: '800', h: '400', f: 'png' });
+  const url = `${CHART_SERVICE_URL}?${params}`;
+
+  if (url.length > MAX_URL_GRAFICA) {
+    console.warn(`⚠️ Gráfica omitida: URL de ${url.length} caracteres (máx. ${MAX_URL_GRAFICA})`);
+    return null;
+  }
+  return url;
+}
+
+export default {
+  name: 'comparar_tasas_interes',
+  description: 'Compara tasas de interés de Nova en un rango de años: mínimo, máximo, promedio y variaciones por producto, con tabla compacta y gráfica opcional. Úsala para tendencias o comparaciones ("¿cómo han cambiado las tasas del Fijo 6M desde 2022?"); para un solo año usa consultar_tasas_interes.',
+  parameters: {
+    type: 'object',
+    properties: {
+      anio_inicio: {
+        type: 'integer',
+        minimum: 2020,
+        maximum: 2030,
+        description: 'Primer año del rango'
+      },
+      anio_fin: {
+        type: 'integer',
+        minimum: 2020,
+        maximum: 2030,
+        description: 'Último año del rango (default: año actual)'
+      },
+      productos: {
+        type: 'array',
+        items: { type: 'string', enum: Object.keys(COLUMNAS_TASAS) },
+        minItems: 1,
+        uniqueItems: true,
+        description: 'Productos a comparar (default: todos)'
+      },
+      incluir_grafica: {
+        type: 'boolean',
+        default: false,
+        description: 'Adjuntar una gráfica de la tendencia (si el usuario la pide o la comparación es larga)'
+      }
+    },
+    required: ['anio_inicio']
+  },
+  requiresAuth: true,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_tasas',
+  progressMessage: '📈 Comparando tasas de interés…',
+
+  async handler({ anio_inicio, anio_fin, productos = Object.keys(COLUMNAS_TASAS), incluir_grafica = false }, context) {
+    const fin = anio_fin ?? DateTime.now().setZone(ZONA).year;
+    if (anio_inicio > fin) {
+      return 'Error: anio_inicio debe ser menor o igual a anio_fin';
+    }
+
+    const anios = [];
+    for (let anio = anio_inicio; anio <= fin; anio++) anios.push(anio);
+
+    const resultados = await Promise.all(anios.map(anio => obtenerTasas(anio, context)));
+
+    // Un año sin datos (p. ej. el siguiente) no invalida el resto; un error de API sí
+    const fallido = resultados.find(r => !r.success);
+    if (fallido) {
+      return `Error: ${fallido.error}`;
+    }
+
+    const matriz = construirMatriz(anios.map((anio, i) => ({ anio, tasas: resultados[i].tasas })), productos);
+    if (matriz.length === 0) {
+      return `Sin datos de tasas entre ${anio_inicio} y ${fin}`;
+    }
+
+    const estadisticas = Object.fromEntries(productos.map(p => [p, calcularEstadisticas(matriz, p)]));
+    const aniosSinDatos = anios.filter((anio, i) => !resultados[i].tasas?.length);
+
+    const respuesta = {
+      rango: { desde: matriz[0].periodo, hasta: matriz.at(-1).periodo },
+      aniosSinDatos,
+      estadisticas,
+      tabla: construirTabla(matriz, productos, estadisticas),
+      instrucciones: 'Todas las cifras ya están calculadas (variaciones en puntos porcentuales): NO hagas cuentas adicionales. ' +
+        'Responde la pregunta con las estadísticas y muestra la tabla si ayuda. ' +
+        'Si aniosSinDatos no está vacío, menciónalo.'
+    };
+
+    const grafica = incluir_grafica
+      ? construirGrafica(matriz, productos, `Tasas Nova ${anio_inicio}–${fin}`)
+      : null;
+
+    if (grafica) {
+      respuesta.adjuntos = [{
+        contentType: 'image/png',
+        contentUrl: grafica,
+        name: `tasas_${anio_inicio}_${fin}.png`
+      }];
+      respuesta.instrucciones += ' La gráfica se adjunta automáticamente a tu respuesta: menciónala, no incluyas la URL.';
+    } else if (incluir_grafica) {
+      respuesta.instrucciones += ' No hay gráfica disponible para esta comparación (sin servicio de gráficas o demasiados productos/meses): no prometas una.';
+    }
+
+    return respuesta;
+  }
+};
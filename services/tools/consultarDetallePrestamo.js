@@ -0,0 +1,216 @@
+// services/tools/consultarDetallePrestamo.js - Detalle de un préstamo y su tabla de amortización
+import { callNovaAPI, getCveUsuario } from '../novaApi.js';
+import { calcularAmortizacion, normalizarFrecuencia, redondear } from '../calculosFinancieros.js';
+
+// Nombres de campo posibles en la respuesta de la API → campo normalizado
+const CAMPOS = {
+  numero: ['NumPrestamo', 'Folio', 'IdPrestamo', 'numPrestamo'],
+  concepto: ['Concepto', 'Producto', 'concepto'],
+  saldo: ['Saldo', 'SaldoInsoluto', 'saldo'],
+  tasaAnual: ['TasaAnual', 'Tasa', 'TasaInteres', 'tasa'],
+  pago: ['MontoPago', 'ImportePago', 'Cuota', 'PagoPeriodico'],
+  avance: ['Pago', 'Avance'],
+  cuotasPagadas: ['CuotasPagadas', 'PagosRealizados'],
+  cuotasTotales: ['CuotasTotales', 'Plazo', 'NumPagos'],
+  frecuencia: ['Frecuencia', 'FrecuenciaPago', 'Periodicidad'],
+  fechaProximoPago: ['FechaProximoPago', 'ProximoPago', 'FechaPago']
+};
+
+const aNumero = (valor) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = parseFloat(String(valor).replace(/[$,%\s]/g, ''));
+  return Number.isFinite(numero) ? numero : null;
+};
+
+/**
+ * Normaliza un préstamo de la API
+ * "Pago" del endpoint de saldos viene como "cuotasPagadas/cuotasTotales" (ej. "12/48")
+ * @param {Object} fila
+ * @returns {Object} { numero, concepto, saldo, tasaAnual, pago, cuotasPagadas, cuotasTotales, cuotasRestantes, frecuencia, fechaProximoPago }
+ */
+export function normalizarPrestamo(fila) {
+  const valor = (campo) => {
+    const clave = CAMPOS[campo].find(a => fila[a] !== undefined && fila[a] !== null && fila[a] !== '');
+    return clave ? fila[clave] : null;
+  };
+
+  let cuotasPagadas = aNumero(valor('cuotasPagadas'));
+  let cuotasTotales = aNumero(valor('cuotasTotales'));
+  const avance = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(valor('avance') ?? ''));
+  if (avance) {
+    cuotasPagadas ??= parseInt(avance[1], 10);
+    cuotasTotales ??= parseInt(avance[2], 10);
+  }
+
+  const fecha = valor('fechaProximoPago');
+
+  return {
+    numero: valor('numero'),
+    concepto: valor('concepto'),
+    saldo: aNumero(valor('saldo')),
+    tasaAnual: aNumero(valor('tasaAnual')),
+    pago: aNumero(valor('pago')),
+    cuotasPagadas,
+    cuotasTotales,
+    cuotasRestantes: cuotasTotales !== null && cuotasPagadas !== null ? Math.max(cuotasTotales - cuotasPagadas, 0) : null,
+    frecuencia: normalizarFrecuencia(valor('frecuencia')),
+    fechaProximoPago: fecha ? String(fecha).slice(0, 10) : null
+  };
+}
+
+/**
+ * Préstamos del usuario: endpoint de detalle si está configurado, si no el de saldos
+ * @returns {Promise<Object>} { success, prestamos } o { success: false, error }
+ */
+async function obtenerPrestamos(cveUsuario, { userToken, renovarToken }) {
+  const requestBody = {
+    usuarioActual: { CveUsuario: cveUsuario },
+    data: { NumSocio: cveUsuario }
+  };
+
+  if (process.env.NOVA_API_URL_PRESTAMO) {
+    const result = await callNovaAPI(process.env.NOVA_API_URL_PRESTAMO, requestBody, userToken, 'consultar préstamo', { renovarToken });
+    if (!result.success) return result;
+
+    const filas = Array.isArray(result.data?.info) ? result.data.info
+      : Array.isArray(result.data) ? result.data
+        : [];
+    return { success: true, prestamos: filas };
+  }
+
+  const url = process.env.NOVA_API_URL_SALDO ||
+    'https://pruebas.nova.com.mx/ApiRestNova/api/SaldoProducto/obtSaldoProducto';
+
+  const result = await callNovaAPI(url, requestBody, userToken, 'consultar préstamo', { renovarToken });
+  if (!result.success) return result;
+
+  const filas = result.data?.saldoPrestamo?.info;
+  return { success: true, prestamos: Array.isArray(filas) ? filas : [] };
+}
+
+/**
+ * Elige el préstamo pedido por número o concepto (coincidencia parcial, sin mayúsculas)
+ * @returns {Array<Object>} Coincidencias (todas si no se indicó préstamo)
+ */
+function filtrarPrestamos(prestamos, buscado) {
+  if (!buscado) return prestamos;
+
+  const texto = String(buscado).toLowerCase().trim();
+  return prestamos.filter(p =>
+    String(p.numero ?? '').toLowerCase() === texto ||
+    String(p.concepto ?? '').toLowerCase().includes(texto)
+  );
+}
+
+export default {
+  name: 'consultar_detalle_prestamo',
+  description: 'Detalle de un préstamo del usuario autenticado: tasa, próximo pago (fecha y monto), cuotas restantes y tabla de amortización calculada. Úsala para "¿cuánto me falta por pagar?", "¿cuándo termino de pagar?" o "¿cuánto pago de intereses?".',
+  parameters: {
+    type: 'object',
+    properties: {
+      prestamo: {
+        type: 'string',
+        description: 'Número o concepto del préstamo tal como lo nombra el usuario (ej: "automotriz", "PRESTAMO PERSONAL"). Omitir si el usuario no especifica.'
+      },
+      periodos_a_mostrar: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 360,
+        default: 12,
+        description: 'Número de pagos de la tabla de amortización a incluir (los próximos)'
+      }
+    }
+  },
+  requiresAuth: true,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_saldo',
+  progressMessage: '💳 Calculando el detalle de tu préstamo…',
+
+  async handler({ prestamo, periodos_a_mostrar = 12 }, context) {
+    const { userInfo } = context;
+    const result = await obtenerPrestamos(getCveUsuario(userInfo), context);
+
+    if (!result.success) {
+      console.log(`❌ [consultarDetallePrestamo] Error de API: ${result.error}`);
+      return `Error: ${result.error}`;
+    }
+
+    const prestamos = result.prestamos.map(normalizarPrestamo);
+    if (prestamos.length === 0) {
+      return 'El usuario no tiene préstamos activos.';
+    }
+
+    const coincidencias = filtrarPrestamos(prestamos, prestamo);
+    if (coincidencias.length !== 1) {
+      return {
+        prestamos: (coincidencias.length > 0 ? coincidencias : prestamos)
+          .map(({ numero, concepto, saldo }) => ({ numero, concepto, saldo })),
+        instrucciones: coincidencias.length === 0
+          ? `No se encontró un préstamo que coincida con "${prestamo}". Muestra la lista y pregunta cuál quiere consultar.`
+          : 'El usuario tiene varios préstamos. Muestra la lista y pregunta cuál quiere consultar antes de dar el detalle.'
+      };
+    }
+
+    const detalle = coincidencias[0];
+    const notas = [];
+
+    if (detalle.saldo === null || detalle.cuotasRestantes === null) {
+      return {
+        prestamo: detalle,
+        instrucciones: 'La API no devolvió saldo o número de cuotas de este préstamo; no es posible calcular la amortización. ' +
+          'Muestra los datos disponibles y sugiere consultar con Nova.'
+      };
+    }
+
+    let amortizacion = null;
+    if (detalle.tasaAnual !== null && detalle.cuotasRestantes > 0) {
+      amortizacion = calcularAmortizacion({
+        saldo: detalle.saldo,
+        tasaAnual: detalle.tasaAnual,
+        periodos: detalle.cuotasRestantes,
+        frecuencia: detalle.frecuencia,
+        pago: detalle.pago,
+        fechaPrimerPago: detalle.fechaProximoPago
+      });
+      if (amortizacion.fechasEstimadas) {
+        notas.push('Las fechas son estimadas a partir de hoy porque la API no informó la fecha del próximo pago.');
+      }
+      if (detalle.pago === null) {
+        notas.push('El monto del pago se calculó con la tasa y el saldo actual; puede diferir del pago pactado por redondeos o seguros.');
+      }
+    } else if (detalle.tasaAnual === null) {
+      notas.push('La API no informó la tasa del préstamo; no se incluye desglose de intereses.');
+    }
+
+    const resumen = amortizacion
+      ? {
+        totalPorPagar: amortizacion.totalPagar,
+        totalIntereses: amortizacion.totalIntereses,
+        fechaUltimoPago: amortizacion.fechaUltimoPago
+      }
+      : {
+        saldoCapital: detalle.saldo,
+        // Pagos pactados restantes (incluyen intereses aunque no se puedan desglosar)
+        totalPorPagar: detalle.pago !== null ? redondear(detalle.pago * detalle.cuotasRestantes) : null
+      };
+
+    const tabla = amortizacion?.filas || [];
+
+    return {
+      prestamo: {
+        ...detalle,
+        pago: detalle.pago ?? amortizacion?.pago ?? null
+      },
+      proximoPago: tabla[0] ? { fecha: tabla[0].fecha, monto: tabla[0].pago } : null,
+      resumen,
+      amortizacion: tabla.slice(0, periodos_a_mostrar),
+      pagosNoMostrados: Math.max(tabla.length - periodos_a_mostrar, 0),
+      notas,
+      instrucciones: 'Todos los montos y fechas ya están calculados: NO los recalcules ni estimes otros. ' +
+        'Responde con el resumen (total por pagar, intereses, fecha del último pago) y el próximo pago; ' +
+        'muestra la tabla solo si el usuario la pide. Montos en pesos mexicanos ($X,XXX.XX), fechas legibles. ' +
+        'Menciona las notas si las hay.'
+    };
+  }
+};
@@ -0,0 +1,165 @@
+// services/tools/consultarMovimientos.js - Movimientos (depósitos, retiros, descuentos) del usuario
+import { DateTime } from 'luxon';
+import { callNovaAPI, getCveUsuario } from '../novaApi.js';
+
+const ZONA = 'America/Mexico_City';
+const DIAS_POR_DEFECTO = 30;
+const MAX_DIAS = 366;
+
+// Nombres de campo posibles en la respuesta de la API → campo normalizado
+const CAMPOS = {
+  fecha: ['Fecha', 'FechaMovimiento', 'fecha', 'fechaMovimiento'],
+  producto: ['Producto', 'Concepto', 'producto', 'concepto'],
+  descripcion: ['Descripcion', 'DescripcionMovimiento', 'descripcion', 'Referencia'],
+  tipo: ['Tipo', 'TipoMovimiento', 'tipo', 'Naturaleza'],
+  monto: ['Monto', 'Importe', 'monto', 'importe'],
+  saldo: ['Saldo', 'SaldoFinal', 'saldo']
+};
+
+// Formatos de fecha no ISO que puede devolver la API
+const FORMATOS_FECHA = ['dd/MM/yyyy HH:mm:ss', 'dd/MM/yyyy HH:mm', 'dd/MM/yyyy', 'yyyy-MM-dd HH:mm:ss'];
+
+/**
+ * Fecha de un movimiento a milisegundos (ISO o dd/MM/yyyy); null si no se reconoce
+ * @param {string} valor
+ * @returns {number|null}
+ */
+function parsearFecha(valor) {
+  if (!valor) return null;
+
+  const texto = String(valor).trim();
+  const candidatas = [
+    DateTime.fromISO(texto, { zone: ZONA }),
+    ...FORMATOS_FECHA.map(formato => DateTime.fromFormat(texto, formato, { zone: ZONA }))
+  ];
+  const fecha = candidatas.find(c => c.isValid);
+
+  return fecha ? fecha.toMillis() : null;
+}
+
+/**
+ * Normaliza un movimiento de la API a { fecha, producto, descripcion, tipo, monto, saldo }
+ * Si ningún campo coincide se devuelve la fila original para no perder datos.
+ * @param {Object} fila
+ * @returns {Object}
+ */
+export function normalizarMovimiento(fila) {
+  const normalizado = {};
+
+  for (const [campo, alias] of Object.entries(CAMPOS)) {
+    const clave = alias.find(a => fila[a] !== undefined && fila[a] !== null);
+    if (clave) normalizado[campo] = fila[clave];
+  }
+
+  return Object.keys(normalizado).length > 0 ? normalizado : fila;
+}
+
+/**
+ * Rango de fechas: default últimos 30 días, máximo un año
+ * @returns {Object} { desde, hasta } en formato yyyy-MM-dd, o { error }
+ */
+function resolverRango(fechaInicio, fechaFin) {
+  const hoy = DateTime.now().setZone(ZONA).startOf('day');
+  const hasta = fechaFin ? DateTime.fromISO(fechaFin, { zone: ZONA }) : hoy;
+  const desde = fechaInicio ? DateTime.fromISO(fechaInicio, { zone: ZONA }) : hasta.minus({ days: DIAS_POR_DEFECTO });
+
+  if (!desde.isValid || !hasta.isValid) {
+    return { error: 'Fechas inválidas; usa el formato AAAA-MM-DD' };
+  }
+  if (desde > hasta) {
+    return { error: 'fecha_inicio debe ser anterior o igual a fecha_fin' };
+  }
+  if (hasta.diff(desde, 'days').days > MAX_DIAS) {
+    return { error: `El rango máximo es de ${MAX_DIAS} días; divide la consulta en periodos más cortos` };
+  }
+
+  return { desde: desde.toISODate(), hasta: hasta.toISODate() };
+}
+
+export default {
+  name: 'consultar_movimientos',
+  description: 'Consulta los movimientos de las cuentas del usuario autenticado (depósitos, retiros, aportaciones, descuentos y pagos de préstamo) en un rango de fechas. Úsala para preguntas como "mis últimos depósitos" o "cuándo se me descontó el préstamo".',
+  parameters: {
+    type: 'object',
+    properties: {
+      producto: {
+        type: 'string',
+        description: 'Producto a filtrar tal como lo nombra el usuario (ej: "vista", "fijo 6M", "FAP", "préstamo"). Omitir para todos los productos.'
+      },
+      fecha_inicio: {
+        type: 'string',
+        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+        description: 'Fecha inicial AAAA-MM-DD (default: 30 días antes de fecha_fin)'
+      },
+      fecha_fin: {
+        type: 'string',
+        pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+        description: 'Fecha final AAAA-MM-DD (default: hoy)'
+      },
+      limite: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 20,
+        description: 'Número máximo de movimientos (los más recientes)'
+      }
+    }
+  },
+  requiresAuth: true,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_movimientos',
+  progressMessage: '🧾 Consultando tus movimientos…',
+
+  async handler({ producto, fecha_inicio, fecha_fin, limite = 20 }, { userToken, userInfo, renovarToken }) {
+    const url = process.env.NOVA_API_URL_MOVIMIENTOS;
+    if (!url) {
+      return 'Error: La consulta de movimientos no está disponible en este momento.';
+    }
+
+    const rango = resolverRango(fecha_inicio, fecha_fin);
+    if (rango.error) {
+      return `Error: ${rango.error}`;
+    }
+
+    const cveUsuario = getCveUsuario(userInfo);
+    const requestBody = {
+      usuarioActual: { CveUsuario: cveUsuario },
+      data: {
+        NumSocio: cveUsuario,
+        Producto: producto || null,
+        FechaInicio: rango.desde,
+        FechaFin: rango.hasta
+      }
+    };
+
+    const result = await callNovaAPI(url, requestBody, userToken, 'consultar movimientos', { renovarToken });
+
+    if (!result.success) {
+      return `Error: ${result.error}`;
+    }
+
+    const filas = Array.isArray(result.data?.info) ? result.data.info
+      : Array.isArray(result.data) ? result.data
+        : [];
+
+    // Más recientes primero (sin fecha reconocible al final) y recorte al límite
+    const movimientos = filas
+      .map(normalizarMovimiento)
+      .map(movimiento => ({ movimiento, ms: parsearFecha(movimiento.fecha) }))
+      .sort((a, b) => (b.ms ?? 0) - (a.ms ?? 0))
+      .map(({ movimiento }) => movimiento)
+      .slice(0, limite);
+
+    return {
+      periodo: rango,
+      producto: producto || 'todos',
+      totalEncontrados: filas.length,
+      mostrados: movimientos.length,
+      movimientos,
+      instrucciones: 'Filtra según la pregunta del usuario (p. ej. solo depósitos o solo descuentos de préstamo). ' +
+        'Presenta fechas legibles y montos en pesos mexicanos ($X,XXX.XX). ' +
+        'Si totalEncontrados es mayor que mostrados, indica que hay más movimientos en el periodo.'
+    };
+  }
+};
@@ -0,0 +1,29 @@
+// services/tools/consultarProcedimientos.js - Procedimientos del portal y servicios disponibles
+// Herramienta señuelo: reutiliza buscar_documentos_nova internamente
+import { buscarDocumentosNova } from './buscarDocumentosNova.js';
+
+export default {
+  name: 'consultar_procedimientos',
+  description: 'Consulta procedimientos del portal web de Nova Y consulta de servicios disponibles. USA ESTA HERRAMIENTA cuando el usuario pregunte sobre: (1) Procedimientos: cómo consultar su perfil, cómo cambiar su contraseña, cómo cambiar datos personales, cómo navegar el portal, cómo usar funcionalidades del sistema. (2) Servicios disponibles: qué tipos de préstamos existen, qué tipos de ahorros hay disponibles, cuáles son los servicios de Nova, existe préstamo/ahorro de X, información general sobre productos. (3) Información general sobre Nova: historia de Nova, misión y valores, trayectoria de la empresa, quiénes somos, contexto institucional.',
+  parameters: {
+    type: 'object',
+    properties: {
+      consulta: {
+        type: 'string',
+        description: 'Procedimiento, servicio o información a consultar (ej: "cambiar contraseña", "tipos de préstamos", "existe préstamo de casa", "qué ahorros hay", "historia de Nova", "quiénes son")'
+      }
+    },
+    required: ['consulta']
+  },
+  requiresAuth: false,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_documento',
+  progressMessage: '📋 Consultando procedimientos…',
+  cache: { ttl: 1800, scope: 'user' }, // Resultados filtrados por el perfil del usuario
+
+  async handler(params, { userInfo, userToken }) {
+    // Captura también consultas sobre servicios disponibles (préstamos, ahorros)
+    return await buscarDocumentosNova(params.consulta, userInfo, userToken);
+  }
+};
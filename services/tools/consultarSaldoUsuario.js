@@ -0,0 +1,123 @@
+// services/tools/consultarSaldoUsuario.js - Saldos de ahorros y préstamos del usuario
+import { callNovaAPI, getCveUsuario } from '../novaApi.js';
+
+/**
+ * Formatea datos de saldo - RETORNA DATOS RAW PARA QUE LA IA DECIDA QUÉ MOSTRAR
+ * Maneja la nueva estructura: { saldoAhorro: {...}, saldoPrestamo: {...}, status: "success" }
+ * @param {Object} saldoData - Datos de saldo de la API
+ * @param {Object} userInfo - Info del usuario
+ * @returns {string} Datos RAW estructurados para que la IA interprete
+ */
+export function formatearSaldo(saldoData, userInfo) {
+  const nombreUsuario = userInfo.nombre || userInfo.CveUsuario || userInfo.usuario;
+
+  // Verificar que tengamos datos
+  if (!saldoData || typeof saldoData !== 'object') {
+    console.log('❌ [formatearSaldo] Sin datos válidos');
+    return `No se pudo obtener información de saldo para ${nombreUsuario}`;
+  }
+
+  // Extraer ahorros y préstamos
+  const ahorros = saldoData.saldoAhorro?.info || [];
+  const prestamos = saldoData.saldoPrestamo?.info || [];
+  const hasAhorros = Array.isArray(ahorros) && ahorros.length > 0;
+  const hasPrestamos = Array.isArray(prestamos) && prestamos.length > 0;
+
+  // Si no hay datos de ninguno de los dos
+  if (!hasAhorros && !hasPrestamos) {
+    return `No se encontraron productos de ahorro ni préstamos asociados al usuario ${nombreUsuario}. ` +
+      'Es posible que:\n' +
+      '- El usuario no tenga productos activos\n' +
+      '- Los productos no estén asociados correctamente en el sistema\n' +
+      '- Se necesite verificar la configuración con el administrador';
+  }
+
+  // Construir output con TODA la información disponible
+  let output = `Información financiera completa para ${nombreUsuario}:\n\n`;
+  output += '═══════════════════════════════════════════════════════════\n\n';
+
+  // Sección de AHORROS
+  if (hasAhorros) {
+    output += '📊 PRODUCTOS DE AHORRO:\n';
+    output += JSON.stringify(ahorros, null, 2);
+    output += '\n\n';
+  } else {
+    output += '📊 PRODUCTOS DE AHORRO: Sin productos de ahorro\n\n';
+  }
+
+  output += '───────────────────────────────────────────────────────────\n\n';
+
+  // Sección de PRÉSTAMOS
+  if (hasPrestamos) {
+    output += '💳 PRÉSTAMOS:\n';
+    output += JSON.stringify(prestamos, null, 2);
+    output += '\n\n';
+  } else {
+    output += '💳 PRÉSTAMOS: Sin préstamos activos\n\n';
+  }
+
+  output += '═══════════════════════════════════════════════════════════\n\n';
+
+  // INSTRUCCIONES PARA LA IA
+  output += '🤖 INSTRUCCIONES PARA LA IA:\n\n';
+  output += '1. **Filtrado por solicitud:**\n';
+  output += '   - Si el usuario pregunta por AHORROS específicos (ej: "mi cuenta vista", "saldo fijo 6M"), muestra SOLO esos productos de ahorro.\n';
+  output += '   - Si el usuario pregunta por PRÉSTAMOS (ej: "mis préstamos", "cuánto debo"), muestra SOLO préstamos.\n';
+  output += '   - Si NO especifica (ej: "mi saldo", "cuánto tengo"), muestra TODO: ahorros Y préstamos.\n\n';
+
+  output += '2. **Estructura de datos:**\n';
+  output += '   - AHORROS tienen: Concepto, FechaVencimiento, SaldoTotal, InteresProyectado\n';
+  output += '   - PRÉSTAMOS tienen: Concepto, Pago (cuotasPagadas/cuotasTotales), Saldo (monto por pagar)\n\n';
+
+  output += '3. **Presentación:**\n';
+  output += '   - Formatea montos en pesos mexicanos: $X,XXX.XX\n';
+  output += '   - Agrupa productos similares si hay muchos (ej: varios "AHORRO PLAZO FIJO TIPO 1")\n';
+  output += '   - Muestra fechas de vencimiento de manera legible\n';
+  output += '   - Para préstamos, explica el progreso (ej: "0 de 48 cuotas pagadas")\n\n';
+
+  output += '4. **Importante:**\n';
+  output += '   - Saldos negativos en ahorros pueden indicar ajustes o sobregiros\n';
+  output += '   - InteresProyectado NULL significa que no aplica interés para ese producto\n';
+  output += '   - Respeta los nombres exactos de productos tal como vienen de la API';
+
+  return output;
+}
+
+export default {
+  name: 'consultar_saldo_usuario',
+  description: 'Consulta saldos de las cuentas del usuario. Retorna información de TODAS las cuentas (Vista, Fijo 1M, Fijo 3M, Fijo 6M, etc). La IA debe filtrar y mostrar solo lo que el usuario pidió específicamente.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  requiresAuth: true,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_saldo',
+  progressMessage: '💰 Consultando tu saldo…',
+
+  async handler(params, { userToken, userInfo, renovarToken }) {
+    const cveUsuario = getCveUsuario(userInfo);
+    const requestBody = {
+      usuarioActual: { CveUsuario: cveUsuario },
+      data: { NumSocio: cveUsuario }
+    };
+
+    const url = process.env.NOVA_API_URL_SALDO ||
+      'https://pruebas.nova.com.mx/ApiRestNova/api/SaldoProducto/obtSaldoProducto';
+
+    const result = await callNovaAPI(url, requestBody, userToken, 'consultar saldo', { renovarToken });
+
+    if (!result.success) {
+      console.log(`❌ [consultarSaldo] Error de API: ${result.error}`);
+      return `Error: ${result.error}`;
+    }
+
+    if (result.data) {
+      return formatearSaldo(result.data, userInfo);
+    }
+
+    console.log(`⚠️ [consultarSaldo] Sin datos en respuesta`);
+    return 'No se pudo obtener información de saldo';
+  }
+};
@@ -0,0 +1,124 @@
+// services/tools/consultarTasasInteres.js - Tasas de interés mensuales de Nova
+import { callNovaAPI, extractNumRIFromToken, getCveUsuario } from '../novaApi.js';
+import { getCacheService } from '../cacheService.js';
+
+/** Producto (como lo nombra el usuario) → columna en la respuesta de la API */
+export const COLUMNAS_TASAS = {
+  'Vista': 'vista',
+  'Fijo 1M': 'fijo1',
+  'Fijo 3M': 'fijo3',
+  'Fijo 6M': 'fijo6',
+  'FAP': 'FAP',
+  'Noviembre': 'Nov',
+  'Préstamos': 'Prestamos'
+};
+
+export const MESES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+  'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+/**
+ * Número de mes (1-12) de la columna Mes de la API ("Enero", "ENERO", 1, "01")
+ * @returns {number|null}
+ */
+export function numeroDeMes(valor) {
+  const numero = parseInt(valor, 10);
+  if (numero >= 1 && numero <= 12) return numero;
+
+  const indice = MESES.indexOf(String(valor || '').trim().toLowerCase());
+  return indice >= 0 ? indice + 1 : null;
+}
+
+/**
+ * Formatea datos de tasas de interés
+ * @param {Array} tasasData - Array de tasas por mes
+ * @param {number} anio - Año
+ * @returns {string} Tasas formateadas
+ */
+export function formatearTasas(tasasData, anio) {
+  if (!Array.isArray(tasasData) || !tasasData.length) {
+    return 'No hay datos de tasas disponibles';
+  }
+
+  let respuesta = `Tasas de interés Nova ${anio}:\n\n`;
+
+  tasasData.forEach(item => {
+    const mes = (item.Mes || '').toString();
+    respuesta += `${mes}:\n`;
+    if (item.vista) respuesta += `  - Vista: ${item.vista}%\n`;
+    if (item.fijo1) respuesta += `  - Fijo 1M: ${item.fijo1}%\n`;
+    if (item.fijo3) respuesta += `  - Fijo 3M: ${item.fijo3}%\n`;
+    if (item.fijo6) respuesta += `  - Fijo 6M: ${item.fijo6}%\n`;
+    if (item.FAP) respuesta += `  - FAP: ${item.FAP}%\n`;
+    if (item.Nov) respuesta += `  - Nov: ${item.Nov}%\n`;
+    if (item.Prestamos) respuesta += `  - Préstamos: ${item.Prestamos}%\n`;
+    respuesta += '\n';
+  });
+
+  return respuesta;
+}
+
+/**
+ * Consulta las tasas mensuales de un año en la API Nova (caché 'tasas' por NumRI y año)
+ * También la usan simulador_ahorros y comparar_tasas_interes.
+ * @param {number} anio
+ * @param {Object} context - { userToken, userInfo, renovarToken }
+ * @returns {Promise<Object>} { success, tasas: Array|null } o { success: false, error }
+ */
+export async function obtenerTasas(anio, { userToken, userInfo, renovarToken }) {
+  const numRI = extractNumRIFromToken(userToken) || '7';
+
+  // Las tasas publicadas cambian a lo más una vez al mes y son las mismas para todo el NumRI
+  return await getCacheService().getOrSet('tasas', `${numRI}:${anio}`, async () => {
+    const requestBody = {
+      usuarioActual: { CveUsuario: getCveUsuario(userInfo) },
+      data: { NumRI: numRI, Anio: anio }
+    };
+
+    const url = process.env.NOVA_API_URL_TASA ||
+      'https://pruebas.nova.com.mx/ApiRestNova/api/ConsultaTasa/consultaTasa';
+
+    const result = await callNovaAPI(url, requestBody, userToken, `consultar tasas ${anio}`, { renovarToken });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, tasas: result.data?.info || null };
+  }, { cacheIf: r => r.success && Array.isArray(r.tasas) && r.tasas.length > 0 });
+}
+
+export default {
+  name: 'consultar_tasas_interes',
+  description: 'Consulta tasas de interés mensuales de Nova',
+  parameters: {
+    type: 'object',
+    properties: {
+      anio: {
+        type: 'integer',
+        minimum: 2020,
+        maximum: 2030,
+        description: 'Año para consultar las tasas'
+      }
+    },
+    required: ['anio']
+  },
+  requiresAuth: true,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: 'consulta_tasas',
+  progressMessage: '📊 Consultando tasas de interés…',
+
+  async handler({ anio }, context) {
+    const result = await obtenerTasas(anio, context);
+
+    if (!result.success) {
+      return `Error: ${result.error}`;
+    }
+
+    if (result.tasas) {
+      return formatearTasas(result.tasas, anio);
+    }
+
+    return `Sin datos de tasas para el año ${anio}`;
+  }
+};
@@ -0,0 +1,36 @@
+// services/tools/obtenerFechaHoraActual.js - Fecha/hora actual en zona México
+import { DateTime } from 'luxon';
+
+const ZONA = 'America/Mexico_City';
+
+export default {
+  name: 'obtener_fecha_hora_actual',
+  description: 'Obtiene fecha y hora actual en zona México',
+  parameters: {
+    type: 'object',
+    properties: {
+      formato: {
+        type: 'string',
+        enum: ['completo', 'fecha', 'hora'],
+        default: 'completo'
+      }
+    }
+  },
+  requiresAuth: false,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: null,
+
+  handler(params = {}) {
+    const ahora = DateTime.now().setZone(ZONA).setLocale('es');
+
+    switch (params.formato) {
+      case 'fecha':
+        return ahora.toFormat("cccc d 'de' LLLL 'de' yyyy");
+      case 'hora':
+        return `${ahora.toFormat('HH:mm:ss')} (${ZONA})`;
+      default:
+        return `${ahora.toFormat("cccc d 'de' LLLL 'de' yyyy, HH:mm:ss")} (${ZONA})`;
+    }
+  }
+};
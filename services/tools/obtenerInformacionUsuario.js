@@ -0,0 +1,33 @@
+// services/tools/obtenerInformacionUsuario.js - Perfil del usuario autenticado
+
+export default {
+  name: 'obtener_informacion_usuario',
+  description: 'Obtiene información del perfil del usuario autenticado',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  requiresAuth: false,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: null,
+  progressMessage: '👤 Consultando tu información…',
+
+  handler(params, { userInfo }) {
+    if (!userInfo) {
+      return 'No hay información de usuario disponible';
+    }
+
+    let info = 'Información del usuario:\n';
+    if (userInfo.nombre) info += `- Nombre: ${userInfo.nombre}\n`;
+    const numeroSocio = userInfo.CveUsuario || userInfo.usuario;
+    if (numeroSocio) info += `- Usuario/Socio: ${numeroSocio}\n`;
+    if (userInfo.paterno) info += `- Apellido paterno: ${userInfo.paterno}\n`;
+    if (userInfo.materno) info += `- Apellido materno: ${userInfo.materno}\n`;
+
+    const tieneToken = !!(userInfo.token && userInfo.token.length > 50);
+    info += `- Estado: ${tieneToken ? 'Autenticado' : 'Sin autenticar'}`;
+
+    return info;
+  }
+};
@@ -0,0 +1,175 @@
+// services/tools/simuladorAhorros.js - Simulación de ahorros con las tasas vigentes de Nova
+// Todos los montos se calculan aquí; el modelo solo narra el desglose
+import { DateTime } from 'luxon';
+import { COLUMNAS_TASAS, MESES, numeroDeMes, obtenerTasas } from './consultarTasasInteres.js';
+import { interesSimple, redondear, retencionISR } from '../calculosFinancieros.js';
+
+const ZONA = 'America/Mexico_City';
+
+// Tasa anual de retención de ISR sobre el capital (Ley de Ingresos de la Federación del año)
+const ISR_TASA_RETENCION = Number.isFinite(parseFloat(process.env.ISR_TASA_RETENCION))
+  ? parseFloat(process.env.ISR_TASA_RETENCION)
+  : 0.50;
+
+/**
+ * Productos simulables → columna de la API de tasas y regla de vencimiento
+ * meses: plazo fijo; null: plazo libre (plazo_meses); 'noviembre': vence al cierre de noviembre
+ */
+const PRODUCTOS = {
+  'Vista': { campo: COLUMNAS_TASAS['Vista'], meses: null },
+  'Fijo 1M': { campo: COLUMNAS_TASAS['Fijo 1M'], meses: 1 },
+  'Fijo 3M': { campo: COLUMNAS_TASAS['Fijo 3M'], meses: 3 },
+  'Fijo 6M': { campo: COLUMNAS_TASAS['Fijo 6M'], meses: 6 },
+  'FAP': { campo: COLUMNAS_TASAS['FAP'], meses: null },
+  'Noviembre': { campo: COLUMNAS_TASAS['Noviembre'], meses: 'noviembre' }
+};
+
+const AVISO = 'Simulación informativa calculada con las tasas publicadas por Nova; no constituye una oferta ni garantiza rendimientos. ' +
+  'Las tasas pueden cambiar y el resultado final puede variar. Para contratar, ingresa al portal web de Nova.';
+
+/**
+ * Tasa del producto para el mes pedido; si ese mes no está publicado, la del último mes anterior disponible
+ * @returns {Object|null} { tasaAnual, mes }
+ */
+export function seleccionarTasa(tasas, campo, mes) {
+  const candidatas = (tasas || [])
+    .map(fila => ({ mes: numeroDeMes(fila.Mes), tasaAnual: parseFloat(fila[campo]) }))
+    .filter(t => t.mes !== null && t.mes <= mes && Number.isFinite(t.tasaAnual))
+    .sort((a, b) => b.mes - a.mes);
+
+  return candidatas[0] || null;
+}
+
+/**
+ * Fecha de vencimiento según el producto
+ * @returns {DateTime}
+ */
+function calcularVencimiento(inicio, producto, plazoMeses) {
+  const { meses } = PRODUCTOS[producto];
+
+  if (meses === 'noviembre') {
+    const cierre = DateTime.fromObject({ year: inicio.year, month: 11, day: 30 }, { zone: ZONA });
+    return cierre > inicio ? cierre : cierre.plus({ years: 1 });
+  }
+
+  return inicio.plus({ months: meses ?? plazoMeses });
+}
+
+/**
+ * Desglose auditable de la simulación
+ * @param {Object} datos - { producto, monto, tasaAnual, inicio (DateTime), plazoMeses, origenTasa }
+ * @returns {Object}
+ */
+export function simular({ producto, monto, tasaAnual, inicio, plazoMeses, origenTasa }) {
+  const vencimiento = calcularVencimiento(inicio, producto, plazoMeses);
+  const dias = Math.round(vencimiento.diff(inicio, 'days').days);
+
+  const interesBruto = interesSimple(monto, tasaAnual, dias);
+  // La institución no puede retener más de lo que paga de intereses
+  const retencion = Math.min(retencionISR(monto, ISR_TASA_RETENCION, dias), interesBruto);
+  const interesNeto = redondear(interesBruto - retencion);
+
+  return {
+    producto,
+    monto,
+    tasaAnual,
+    origenTasa,
+    fechaInicio: inicio.toISODate(),
+    fechaVencimiento: vencimiento.toISODate(),
+    dias,
+    interesBruto,
+    retencionISR: retencion,
+    interesNeto,
+    montoFinal: redondear(monto + interesNeto),
+    rendimientoNetoAnual: dias > 0 ? redondear(interesNeto / monto * 360 / dias * 100) : 0,
+    calculo: {
+      interesBruto: `${monto} × ${tasaAnual}% × ${dias} / 360`,
+      retencionISR: `${monto} × ${ISR_TASA_RETENCION}% × ${dias} / 365 (tope: interés bruto)`,
+      interesNeto: 'interesBruto − retencionISR',
+      montoFinal: 'monto + interesNeto'
+    },
+    supuestos: [
+      'Interés simple sobre el monto inicial, año comercial de 360 días',
+      `Retención de ISR del ${ISR_TASA_RETENCION}% anual sobre el capital, año de 365 días`,
+      'Tasa fija durante todo el plazo, sin aportaciones ni retiros intermedios'
+    ],
+    aviso: AVISO
+  };
+}
+
+export default {
+  name: 'simulador_ahorros',
+  description: 'Simula un ahorro en Vista, Fijo 1M, Fijo 3M, Fijo 6M, FAP o Noviembre con la tasa publicada por Nova: calcula interés bruto, retención de ISR, interés neto, monto final y fecha de vencimiento. Úsala SIEMPRE que el usuario pida simular o calcular rendimientos.',
+  parameters: {
+    type: 'object',
+    properties: {
+      producto: {
+        type: 'string',
+        enum: Object.keys(PRODUCTOS),
+        description: 'Producto de ahorro a simular'
+      },
+      monto: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        description: 'Monto a invertir en pesos'
+      },
+      plazo_meses: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 60,
+        default: 12,
+        description: 'Plazo en meses para Vista y FAP (los fijos y Noviembre tienen plazo propio)'
+      },
+      anio: {
+        type: 'integer',
+        minimum: 2020,
+        maximum: 2030,
+        description: 'Año de la tasa a usar (default: año actual)'
+      },
+      mes: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 12,
+        description: 'Mes de la tasa a usar, 1-12 (default: mes actual)'
+      }
+    },
+    required: ['producto', 'monto']
+  },
+  requiresAuth: true,
+  channels: ['*'],
+  perfiles: ['*'],
+  metricsTag: null,
+  progressMessage: '🧮 Calculando tu simulación…',
+
+  async handler({ producto, monto, plazo_meses = 12, anio, mes }, context) {
+    const hoy = DateTime.now().setZone(ZONA).startOf('day');
+    const anioTasa = anio ?? hoy.year;
+    const mesTasa = mes ?? (anioTasa === hoy.year ? hoy.month : 12);
+
+    const result = await obtenerTasas(anioTasa, context);
+    if (!result.success) {
+      return `Error: ${result.error}`;
+    }
+
+    const tasa = seleccionarTasa(result.tasas, PRODUCTOS[producto].campo, mesTasa);
+    if (!tasa) {
+      return `Error: No hay tasa publicada de ${producto} para ${MESES[mesTasa - 1]} de ${anioTasa}. Consulta las tasas disponibles con consultar_tasas_interes.`;
+    }
+
+    const simulacion = simular({
+      producto,
+      monto,
+      tasaAnual: tasa.tasaAnual,
+      inicio: hoy,
+      plazoMeses: plazo_meses,
+      origenTasa: { anio: anioTasa, mes: MESES[tasa.mes - 1] }
+    });
+
+    return {
+      ...simulacion,
+      instrucciones: 'Narra el desglose tal como viene: NO recalcules ni redondees distinto. ' +
+        'Presenta montos en pesos mexicanos ($X,XXX.XX), fechas legibles, la tasa usada (y de qué mes) y SIEMPRE el aviso. ' +
+        'Si origenTasa.mes no es el mes que pidió el usuario, explica que es la última tasa publicada.'
+    };
+  }
+};
@@ -0,0 +1,193 @@
+// services/webchatAuthService.js - Verificación del JWT del portal para la API de WebChat
+
+import crypto from 'crypto';
+import { jwtVerify, createRemoteJWKSet, errors } from 'jose';
+import 'dotenv/config';
+
+const ALGORITMOS_SIMETRICOS = ['HS256', 'HS384', 'HS512'];
+const ALGORITMOS_ASIMETRICOS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Claims candidatos para el id estable del usuario (el primero presente gana)
+const USER_CLAIMS_DEFAULT = ['CveUsuario', 'NumSocio', 'sub'];
+
+// Prefijo del user_id de WebChat en la persistencia (metricsService lo usa para detectar el canal)
+export const WEBCHAT_USER_PREFIX = 'webchat:';
+
+/**
+ * Error de verificación del token de WebChat
+ * codigo: no_configurado | token_requerido | token_expirado | token_invalido | sin_usuario
+ */
+export class WebchatAuthError extends Error {
+    constructor(codigo, mensaje) {
+        super(mensaje);
+        this.name = 'WebchatAuthError';
+        this.codigo = codigo;
+    }
+}
+
+function lista(valor) {
+    return (valor || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Busca un claim sin distinguir mayúsculas (CveUsuario, cveUsuario, cveusuario)
+ */
+function leerClaim(claims, nombre) {
+    const clave = Object.keys(claims).find(k => k.toLowerCase() === nombre.toLowerCase());
+    const valor = clave !== undefined ? claims[clave] : undefined;
+    return valor === undefined || valor === null || valor === '' ? null : valor;
+}
+
+/**
+ * WebchatAuthService - Verifica el JWT que el portal entrega a la API de WebChat
+ *
+ * - Firma: JWKS (WEBCHAT_JWT_JWKS_URL), llave pública PEM (WEBCHAT_JWT_PUBLIC_KEY)
+ *   o secreto compartido (WEBCHAT_JWT_SECRET, p. ej. una llave de pruebas local)
+ * - Expiración obligatoria (exp) con tolerancia de reloj, issuer y audience opcional
+ * - El user_id estable sale de los claims verificados: `webchat:<CveUsuario|NumSocio|sub>`,
+ *   así el historial no cambia de partición cuando el portal renueva el token
+ *
+ * Sin llave o sin WEBCHAT_JWT_ISSUER la API de WebChat queda deshabilitada (503).
+ */
+export class WebchatAuthService {
+    constructor() {
+        const env = process.env;
+
+        this.issuer = lista(env.WEBCHAT_JWT_ISSUER);
+        this.audience = lista(env.WEBCHAT_JWT_AUDIENCE);
+        this.clockTolerance = parseInt(env.WEBCHAT_JWT_CLOCK_TOLERANCE, 10) || 30;
+        this.userClaims = lista(env.WEBCHAT_JWT_USER_CLAIMS).length > 0
+            ? lista(env.WEBCHAT_JWT_USER_CLAIMS)
+            : USER_CLAIMS_DEFAULT;
+
+        const { llave, origen, algoritmos } = this.cargarLlave(env);
+        this.llave = llave;
+        this.origen = origen;
+        this.algoritmos = lista(env.WEBCHAT_JWT_ALGORITHMS).length > 0
+            ? lista(env.WEBCHAT_JWT_ALGORITHMS)
+            : algoritmos;
+
+        if (!this.isConfigured()) {
+            console.warn('⚠️ WebChat JWT: falta la llave o WEBCHAT_JWT_ISSUER; la API de WebChat rechazará las solicitudes');
+        } else {
+            console.log(`🔐 WebChat JWT: ${origen} (${this.algoritmos.join(', ')}), issuer ${this.issuer.join(', ')}, usuario desde ${this.userClaims.join(' | ')}`);
+        }
+    }
+
+    /**
+     * Llave de verificación según la configuración (JWKS > llave pública > secreto)
+     * @returns {Object} { llave, origen, algoritmos }
+     */
+    cargarLlave(env) {
+        if (env.WEBCHAT_JWT_JWKS_URL) {
+            let url;
+            try {
+                url = new URL(env.WEBCHAT_JWT_JWKS_URL);
+            } catch (error) {
+                throw new Error(`WEBCHAT_JWT_JWKS_URL inválida: ${error.message}`);
+            }
+
+            // jose guarda las llaves en caché y vuelve a pedir el JWKS si llega un kid desconocido
+            return {
+                llave: createRemoteJWKSet(url),
+                origen: `JWKS ${env.WEBCHAT_JWT_JWKS_URL}`,
+                algoritmos: ALGORITMOS_ASIMETRICOS
+            };
+        }
+
+        if (env.WEBCHAT_JWT_PUBLIC_KEY) {
+            // En App Service la llave suele configurarse en una sola línea con \n literales
+            const pem = env.WEBCHAT_JWT_PUBLIC_KEY.replace(/\\n/g, '\n');
+            try {
+                return {
+                    llave: crypto.createPublicKey(pem),
+                    origen: 'llave pública',
+                    algoritmos: ALGORITMOS_ASIMETRICOS
+                };
+            } catch (error) {
+                throw new Error(`WEBCHAT_JWT_PUBLIC_KEY inválida: ${error.message}`);
+            }
+        }
+
+        if (env.WEBCHAT_JWT_SECRET) {
+            return {
+                llave: crypto.createSecretKey(Buffer.from(env.WEBCHAT_JWT_SECRET, 'utf8')),
+                origen: 'secreto compartido',
+                algoritmos: ALGORITMOS_SIMETRICOS
+            };
+        }
+
+        return { llave: null, origen: null, algoritmos: [] };
+    }
+
+    isConfigured() {
+        return Boolean(this.llave) && this.issuer.length > 0;
+    }
+
+    /**
+     * Verifica el token y obtiene la identidad del usuario
+     * @param {string} token - JWT del portal
+     * @returns {Promise<Object>} { userId, CveUsuario, NumRI, perfil, claims }
+     * @throws {WebchatAuthError}
+     */
+    async verificar(token) {
+        if (!this.isConfigured()) {
+            throw new WebchatAuthError('no_configurado', 'Verificación de WebChat no configurada');
+        }
+
+        if (!token || typeof token !== 'string') {
+            throw new WebchatAuthError('token_requerido', 'Token requerido');
+        }
+
+        let claims;
+        try {
+            ({ payload: claims } = await jwtVerify(token, this.llave, {
+                algorithms: this.algoritmos,
+                issuer: this.issuer,
+                audience: this.audience.length > 0 ? this.audience : undefined,
+                clockTolerance: this.clockTolerance,
+                requiredClaims: ['exp']
+            }));
+        } catch (error) {
+            if (error instanceof errors.JWTExpired) {
+                throw new WebchatAuthError('token_expirado', 'Token expirado');
+            }
+            // Fallas del JWKS (red, respuesta inválida) no son culpa del cliente
+            if (error instanceof errors.JWKSTimeout || error instanceof errors.JWKSInvalid) {
+                console.error(`❌ WebChat JWT: no se pudo obtener el JWKS: ${error.message}`);
+            }
+            const detalle = error.claim ? `${error.code} (${error.claim})` : (error.code || error.message);
+            throw new WebchatAuthError('token_invalido', `Token inválido: ${detalle}`);
+        }
+
+        const claimUsuario = this.userClaims.find(nombre => leerClaim(claims, nombre) !== null);
+        if (!claimUsuario) {
+            throw new WebchatAuthError('sin_usuario', `El token no incluye ${this.userClaims.join(' ni ')}`);
+        }
+
+        const CveUsuario = String(leerClaim(claims, claimUsuario));
+
+        return {
+            userId: `${WEBCHAT_USER_PREFIX}${CveUsuario}`,
+            CveUsuario,
+            NumRI: leerClaim(claims, 'NumRI'),
+            perfil: leerClaim(claims, 'perfil'),
+            claims
+        };
+    }
+}
+
+let instance = null;
+
+/**
+ * Obtiene el verificador compartido (singleton: el JWKS se descarga una sola vez)
+ * @returns {WebchatAuthService}
+ */
+export function getWebchatAuthService() {
+    if (!instance) {
+        instance = new WebchatAuthService();
+    }
+    return instance;
+}
+
+export default getWebchatAuthService;